@@ -0,0 +1,603 @@
+// Puerto Vallarta Flight Tracker - Message Catalogs
+// One entry per language: the Intl locale used for dates and times, the
+// language's own name for the switcher, and the UI strings. Placeholders
+// such as {city} are filled in by t() in script.js; missing keys fall back
+// to English.
+
+window.FLIGHT_TRACKER_I18N = {
+    en: {
+        locale: 'en-US',
+        name: 'English',
+        messages: {
+            'page.title': '{city} Airport - Flight Information',
+            'header.lastUpdated': 'Last Updated:',
+            'header.language': 'Language',
+            'tab.arrivals': 'Arrivals',
+            'tab.departures': 'Departures',
+            'column.time': 'Time',
+            'column.flight': 'Flight',
+            'column.airline': 'Airline',
+            'column.from': 'From',
+            'column.to': 'To',
+            'column.status': 'Status',
+            'table.loading': 'Loading flight information...',
+            'footer.disclaimer': 'Flight information is provided for reference only. Please verify status with your airline before traveling.',
+            'footer.dataFor': 'Data for',
+            'footer.updatedDaily': 'Updated daily',
+            'footer.subscribe': 'Subscribe in your calendar:',
+            'footer.feeds': 'Follow changes (Atom):',
+            'footer.alertsFeed': 'Cancellations & diversions',
+            'footer.eventsFeed': 'All changes',
+            'kiosk.page': 'Page {page} of {pages}',
+            'date.label': 'Day',
+            'date.latest': 'Latest',
+            'date.today': 'Today',
+            'common.notAvailable': 'Not available',
+            'search.placeholder': 'Search flight, airline or city',
+            'search.label': 'Search flights',
+            'filter.status': 'Status filters',
+            'filter.time': 'Time of day',
+            'filter.hideLanded': 'Hide landed',
+            'filter.hideDeparted': 'Hide departed',
+            'filter.hideCancelled': 'Hide cancelled',
+            'filter.next2h': 'Next 2 hours',
+            'filter.morning': 'Morning',
+            'filter.afternoon': 'Afternoon',
+            'filter.evening': 'Evening',
+            'filter.range': 'Flights shown',
+            'filter.today': 'Today',
+            'filter.rolling': 'Next 24 hours',
+            'filter.todayTomorrow': 'Today & tomorrow',
+            'day.today': 'Today',
+            'day.tomorrow': 'Tomorrow',
+            'day.yesterday': 'Yesterday',
+            'day.separator': '{day} · {date}',
+            'stale.since': 'Flight data may be outdated. Last successful update: {time}.',
+            'stale.never': 'Flight data may be outdated. No successful update yet.',
+            'schema.mismatch': 'This page does not recognise the format of the flight data. Please reload the page; some details may be missing.',
+            'empty.arrivals.today': 'No arrivals scheduled for today',
+            'empty.departures.today': 'No departures scheduled for today',
+            'empty.arrivals.day': 'No arrivals scheduled for this day',
+            'empty.departures.day': 'No departures scheduled for this day',
+            'empty.noMatches': 'No flights match your search or filters',
+            'error.load': 'Unable to load flight information. Please try again later.',
+            'error.offline': 'You’re offline and no saved flight information is available yet.',
+            'offline.since': 'Offline — showing data from {time}.',
+            'offline.banner': 'Offline — showing the last saved data.',
+            'flight.codeshares': 'also {numbers}',
+            'calendar.add': 'Add to calendar',
+            'calendar.arrival': 'Arrival {flight} from {place}',
+            'calendar.departure': 'Departure {flight} to {place}',
+            'calendar.terminal': 'Terminal {terminal}',
+            'calendar.gate': 'Gate {gate}',
+            'calendar.airline': 'Airline: {airline}',
+            'calendar.codeshares': 'Also sold as: {numbers}',
+            'calendar.scheduled': 'Scheduled: {time}',
+            'calendar.expected': 'Expected: {time}',
+            'calendar.landed': 'Landed: {time}',
+            'calendar.departed': 'Departed: {time}',
+            'calendar.status': 'Status: {status}',
+            'calendar.localTimes': 'Times are {city} local time.',
+            'details.terminal': 'Terminal',
+            'details.gate': 'Gate',
+            'details.baggage': 'Baggage claim',
+            'details.aircraft': 'Aircraft',
+            'details.registration': 'Registration',
+            'details.distance': 'Distance',
+            'details.distanceKm': '{distance} km',
+            'details.inbound': 'Inbound flight',
+            'details.nextDeparture': 'Next departure',
+            'details.rotationFrom': '{flight} from {city}',
+            'details.rotationTo': '{flight} to {city}',
+            'details.predictedDelay': 'Expected delay',
+            'details.predictedMinutes': '+{minutes} min',
+            'details.divertedTo': 'Diverted to',
+            'details.recovery': 'Continues as',
+            'details.recoveryOf': 'Diverted flight',
+            'details.recoveryFlight': '{flight} at {time}',
+            'details.scheduled': 'Scheduled',
+            'details.estimated': 'Estimated',
+            'details.actual': 'Actual',
+            'details.gateOut': 'Gate out',
+            'details.takeoff': 'Takeoff',
+            'details.landing': 'Landing',
+            'details.gateIn': 'Gate in',
+            'details.localTimes': 'Times in {city} local time',
+            'details.none': 'No further details for this flight',
+            'stats.title': 'Statistics',
+            'stats.onTime': 'on time',
+            'stats.gaugeLabel': '{percent}% on time',
+            'stats.notOperated': 'No flights operated yet',
+            'stats.flights': 'Flights',
+            'stats.operated': 'Operated',
+            'stats.averageDelay': 'Average delay',
+            'stats.minutes': '{minutes} min',
+            'stats.cancelled': 'Cancelled',
+            'stats.busiestHour': 'Busiest hour',
+            'stats.hourly': 'Flights per hour',
+            'stats.hourBar': 'Flights at {hour}: {count}',
+            'stats.topRoutes': 'Top routes',
+            'stats.topAirlines': 'Top airlines',
+            'stats.week': 'Last {days} days, arrivals and departures: {percent}% on time',
+            'watch.add': 'Watch this flight',
+            'watch.remove': 'Stop watching this flight',
+            'rotation.inboundDelayed': 'Inbound aircraft delayed',
+            'rotation.predicted': '{flight} is running late: expect a delay of about {minutes} min',
+            'diversion.to': 'Diverted to {code}',
+            'diversion.here': 'Diverted here',
+            'diversion.recoveryOf': 'Continues after diversion',
+            'notify.landed': '{flight} landed',
+            'notify.departed': '{flight} departed',
+            'notify.enRoute': '{flight} took off',
+            'notify.cancelled': '{flight} cancelled',
+            'notify.diverted': '{flight} diverted',
+            'notify.divertedTo': '{flight} diverted to {code}',
+            'notify.late': '{flight} now {minutes} min late',
+            'notify.early': '{flight} now {minutes} min early',
+            'notify.onTime': '{flight} now on time',
+            'notify.status': '{flight}: {status}',
+            'time.withZone': '{time} ({city} time)',
+            'status.scheduled': 'Scheduled',
+            'status.active': 'En Route',
+            'status.en route': 'En Route',
+            'status.landed': 'Landed',
+            'status.departed': 'Departed',
+            'status.cancelled': 'Cancelled',
+            'status.diverted': 'Diverted',
+            'status.delayed': 'Delayed',
+            'status.on time': 'On Time',
+            'status.early': 'Early',
+            'status.incident': 'Incident',
+            'status.landing now': 'Landing now',
+            'status.boarding': 'Boarding',
+            'status.departing': 'Departing'
+        }
+    },
+
+    es: {
+        locale: 'es-MX',
+        name: 'Español',
+        messages: {
+            'page.title': 'Aeropuerto de {city} - Información de Vuelos',
+            'header.lastUpdated': 'Última actualización:',
+            'header.language': 'Idioma',
+            'tab.arrivals': 'Llegadas',
+            'tab.departures': 'Salidas',
+            'column.time': 'Hora',
+            'column.flight': 'Vuelo',
+            'column.airline': 'Aerolínea',
+            'column.from': 'Origen',
+            'column.to': 'Destino',
+            'column.status': 'Estado',
+            'table.loading': 'Cargando información de vuelos...',
+            'footer.disclaimer': 'La información de vuelos se proporciona solo como referencia. Verifique el estado con su aerolínea antes de viajar.',
+            'footer.dataFor': 'Datos del',
+            'footer.updatedDaily': 'Actualizado diariamente',
+            'footer.subscribe': 'Suscríbase en su calendario:',
+            'footer.feeds': 'Siga los cambios (Atom):',
+            'footer.alertsFeed': 'Cancelaciones y desvíos',
+            'footer.eventsFeed': 'Todos los cambios',
+            'kiosk.page': 'Página {page} de {pages}',
+            'date.label': 'Día',
+            'date.latest': 'Más reciente',
+            'date.today': 'Hoy',
+            'common.notAvailable': 'No disponible',
+            'search.placeholder': 'Buscar vuelo, aerolínea o ciudad',
+            'search.label': 'Buscar vuelos',
+            'filter.status': 'Filtros de estado',
+            'filter.time': 'Horario',
+            'filter.hideLanded': 'Ocultar aterrizados',
+            'filter.hideDeparted': 'Ocultar despegados',
+            'filter.hideCancelled': 'Ocultar cancelados',
+            'filter.next2h': 'Próximas 2 horas',
+            'filter.morning': 'Mañana',
+            'filter.afternoon': 'Tarde',
+            'filter.evening': 'Noche',
+            'filter.range': 'Vuelos mostrados',
+            'filter.today': 'Hoy',
+            'filter.rolling': 'Próximas 24 horas',
+            'filter.todayTomorrow': 'Hoy y mañana',
+            'day.today': 'Hoy',
+            'day.tomorrow': 'Mañana',
+            'day.yesterday': 'Ayer',
+            'day.separator': '{day} · {date}',
+            'stale.since': 'Los datos de vuelos pueden estar desactualizados. Última actualización correcta: {time}.',
+            'stale.never': 'Los datos de vuelos pueden estar desactualizados. Aún no hay una actualización correcta.',
+            'schema.mismatch': 'Esta página no reconoce el formato de los datos de vuelos. Recargue la página; puede faltar información.',
+            'empty.arrivals.today': 'No hay llegadas programadas para hoy',
+            'empty.departures.today': 'No hay salidas programadas para hoy',
+            'empty.arrivals.day': 'No hay llegadas programadas para este día',
+            'empty.departures.day': 'No hay salidas programadas para este día',
+            'empty.noMatches': 'Ningún vuelo coincide con la búsqueda o los filtros',
+            'error.load': 'No se pudo cargar la información de vuelos. Intente más tarde.',
+            'error.offline': 'Sin conexión y aún no hay información de vuelos guardada.',
+            'offline.since': 'Sin conexión: se muestran los datos de {time}.',
+            'offline.banner': 'Sin conexión: se muestran los últimos datos guardados.',
+            'flight.codeshares': 'también {numbers}',
+            'calendar.add': 'Agregar al calendario',
+            'calendar.arrival': 'Llegada {flight} desde {place}',
+            'calendar.departure': 'Salida {flight} a {place}',
+            'calendar.terminal': 'Terminal {terminal}',
+            'calendar.gate': 'Puerta {gate}',
+            'calendar.airline': 'Aerolínea: {airline}',
+            'calendar.codeshares': 'También vendido como: {numbers}',
+            'calendar.scheduled': 'Programado: {time}',
+            'calendar.expected': 'Estimado: {time}',
+            'calendar.landed': 'Aterrizó: {time}',
+            'calendar.departed': 'Despegó: {time}',
+            'calendar.status': 'Estado: {status}',
+            'calendar.localTimes': 'Horarios en hora local de {city}.',
+            'details.terminal': 'Terminal',
+            'details.gate': 'Puerta',
+            'details.baggage': 'Reclamo de equipaje',
+            'details.aircraft': 'Aeronave',
+            'details.registration': 'Matrícula',
+            'details.distance': 'Distancia',
+            'details.distanceKm': '{distance} km',
+            'details.inbound': 'Vuelo de llegada',
+            'details.nextDeparture': 'Siguiente salida',
+            'details.rotationFrom': '{flight} desde {city}',
+            'details.rotationTo': '{flight} a {city}',
+            'details.predictedDelay': 'Demora prevista',
+            'details.predictedMinutes': '+{minutes} min',
+            'details.divertedTo': 'Desviado a',
+            'details.recovery': 'Continúa como',
+            'details.recoveryOf': 'Vuelo desviado',
+            'details.recoveryFlight': '{flight} a las {time}',
+            'details.scheduled': 'Programado',
+            'details.estimated': 'Estimado',
+            'details.actual': 'Real',
+            'details.gateOut': 'Salida de puerta',
+            'details.takeoff': 'Despegue',
+            'details.landing': 'Aterrizaje',
+            'details.gateIn': 'Llegada a puerta',
+            'details.localTimes': 'Horarios en hora local de {city}',
+            'details.none': 'No hay más detalles de este vuelo',
+            'stats.title': 'Estadísticas',
+            'stats.onTime': 'a tiempo',
+            'stats.gaugeLabel': '{percent}% a tiempo',
+            'stats.notOperated': 'Aún no ha operado ningún vuelo',
+            'stats.flights': 'Vuelos',
+            'stats.operated': 'Operados',
+            'stats.averageDelay': 'Retraso medio',
+            'stats.minutes': '{minutes} min',
+            'stats.cancelled': 'Cancelados',
+            'stats.busiestHour': 'Hora más concurrida',
+            'stats.hourly': 'Vuelos por hora',
+            'stats.hourBar': 'Vuelos a las {hour}: {count}',
+            'stats.topRoutes': 'Rutas principales',
+            'stats.topAirlines': 'Aerolíneas principales',
+            'stats.week': 'Últimos {days} días, llegadas y salidas: {percent}% a tiempo',
+            'watch.add': 'Seguir este vuelo',
+            'watch.remove': 'Dejar de seguir este vuelo',
+            'rotation.inboundDelayed': 'Avión de llegada retrasado',
+            'rotation.predicted': '{flight} viene con retraso: se espera una demora de unos {minutes} min',
+            'diversion.to': 'Desviado a {code}',
+            'diversion.here': 'Desviado aquí',
+            'diversion.recoveryOf': 'Continúa tras el desvío',
+            'notify.landed': '{flight} aterrizó',
+            'notify.departed': '{flight} despegó',
+            'notify.enRoute': '{flight} ya despegó',
+            'notify.cancelled': '{flight} cancelado',
+            'notify.diverted': '{flight} desviado',
+            'notify.divertedTo': '{flight} desviado a {code}',
+            'notify.late': '{flight} ahora con {minutes} min de retraso',
+            'notify.early': '{flight} ahora {minutes} min adelantado',
+            'notify.onTime': '{flight} ahora a tiempo',
+            'notify.status': '{flight}: {status}',
+            'time.withZone': '{time} (hora de {city})',
+            'status.scheduled': 'Programado',
+            'status.active': 'En vuelo',
+            'status.en route': 'En vuelo',
+            'status.landed': 'Aterrizó',
+            'status.departed': 'Despegó',
+            'status.cancelled': 'Cancelado',
+            'status.diverted': 'Desviado',
+            'status.delayed': 'Retrasado',
+            'status.on time': 'A tiempo',
+            'status.early': 'Adelantado',
+            'status.incident': 'Incidente',
+            'status.landing now': 'Aterrizando',
+            'status.boarding': 'Abordando',
+            'status.departing': 'Despegando'
+        }
+    },
+
+    fr: {
+        locale: 'fr-CA',
+        name: 'Français',
+        messages: {
+            'page.title': 'Aéroport de {city} - Information sur les vols',
+            'header.lastUpdated': 'Dernière mise à jour :',
+            'header.language': 'Langue',
+            'tab.arrivals': 'Arrivées',
+            'tab.departures': 'Départs',
+            'column.time': 'Heure',
+            'column.flight': 'Vol',
+            'column.airline': 'Compagnie',
+            'column.from': 'Provenance',
+            'column.to': 'Destination',
+            'column.status': 'Statut',
+            'table.loading': 'Chargement des informations de vol...',
+            'footer.disclaimer': 'Les informations de vol sont fournies à titre indicatif seulement. Veuillez vérifier le statut auprès de votre compagnie aérienne avant de voyager.',
+            'footer.dataFor': 'Données du',
+            'footer.updatedDaily': 'Mise à jour quotidienne',
+            'footer.subscribe': 'S’abonner dans votre agenda :',
+            'footer.feeds': 'Suivre les changements (Atom) :',
+            'footer.alertsFeed': 'Annulations et déroutements',
+            'footer.eventsFeed': 'Tous les changements',
+            'kiosk.page': 'Page {page} sur {pages}',
+            'date.label': 'Jour',
+            'date.latest': 'Plus récent',
+            'date.today': 'Aujourd’hui',
+            'common.notAvailable': 'Non disponible',
+            'search.placeholder': 'Rechercher un vol, une compagnie ou une ville',
+            'search.label': 'Rechercher des vols',
+            'filter.status': 'Filtres de statut',
+            'filter.time': 'Moment de la journée',
+            'filter.hideLanded': 'Masquer les vols atterris',
+            'filter.hideDeparted': 'Masquer les vols partis',
+            'filter.hideCancelled': 'Masquer les vols annulés',
+            'filter.next2h': 'Prochaines 2 heures',
+            'filter.morning': 'Matin',
+            'filter.afternoon': 'Après-midi',
+            'filter.evening': 'Soir',
+            'filter.range': 'Vols affichés',
+            'filter.today': 'Aujourd’hui',
+            'filter.rolling': '24 prochaines heures',
+            'filter.todayTomorrow': 'Aujourd’hui et demain',
+            'day.today': 'Aujourd’hui',
+            'day.tomorrow': 'Demain',
+            'day.yesterday': 'Hier',
+            'day.separator': '{day} · {date}',
+            'stale.since': 'Les données de vol peuvent être périmées. Dernière mise à jour réussie : {time}.',
+            'stale.never': 'Les données de vol peuvent être périmées. Aucune mise à jour réussie pour l’instant.',
+            'schema.mismatch': 'Cette page ne reconnaît pas le format des données de vol. Veuillez recharger la page. Certains détails peuvent manquer.',
+            'empty.arrivals.today': 'Aucune arrivée prévue aujourd’hui',
+            'empty.departures.today': 'Aucun départ prévu aujourd’hui',
+            'empty.arrivals.day': 'Aucune arrivée prévue ce jour-là',
+            'empty.departures.day': 'Aucun départ prévu ce jour-là',
+            'empty.noMatches': 'Aucun vol ne correspond à votre recherche ou à vos filtres',
+            'error.load': 'Impossible de charger les informations de vol. Veuillez réessayer plus tard.',
+            'error.offline': 'Vous êtes hors ligne et aucune information de vol n’est encore enregistrée.',
+            'offline.since': 'Hors ligne — données du {time}.',
+            'offline.banner': 'Hors ligne — dernières données enregistrées.',
+            'flight.codeshares': 'aussi {numbers}',
+            'calendar.add': 'Ajouter à l’agenda',
+            'calendar.arrival': 'Arrivée {flight} de {place}',
+            'calendar.departure': 'Départ {flight} vers {place}',
+            'calendar.terminal': 'Terminal {terminal}',
+            'calendar.gate': 'Porte {gate}',
+            'calendar.airline': 'Compagnie : {airline}',
+            'calendar.codeshares': 'Aussi vendu comme : {numbers}',
+            'calendar.scheduled': 'Prévu : {time}',
+            'calendar.expected': 'Estimé : {time}',
+            'calendar.landed': 'Atterri : {time}',
+            'calendar.departed': 'Parti : {time}',
+            'calendar.status': 'Statut : {status}',
+            'calendar.localTimes': 'Heures locales de {city}.',
+            'details.terminal': 'Terminal',
+            'details.gate': 'Porte',
+            'details.baggage': 'Tapis bagages',
+            'details.aircraft': 'Appareil',
+            'details.registration': 'Immatriculation',
+            'details.distance': 'Distance',
+            'details.distanceKm': '{distance} km',
+            'details.inbound': 'Vol d’arrivée',
+            'details.nextDeparture': 'Prochain départ',
+            'details.rotationFrom': '{flight} de {city}',
+            'details.rotationTo': '{flight} vers {city}',
+            'details.predictedDelay': 'Retard prévu',
+            'details.predictedMinutes': '+{minutes} min',
+            'details.divertedTo': 'Dérouté vers',
+            'details.recovery': 'Poursuivi par',
+            'details.recoveryOf': 'Vol dérouté',
+            'details.recoveryFlight': '{flight} à {time}',
+            'details.scheduled': 'Prévu',
+            'details.estimated': 'Estimé',
+            'details.actual': 'Réel',
+            'details.gateOut': 'Départ de la porte',
+            'details.takeoff': 'Décollage',
+            'details.landing': 'Atterrissage',
+            'details.gateIn': 'Arrivée à la porte',
+            'details.localTimes': 'Heures locales de {city}',
+            'details.none': 'Pas d’autres détails pour ce vol',
+            'stats.title': 'Statistiques',
+            'stats.onTime': 'à l’heure',
+            'stats.gaugeLabel': '{percent} % à l’heure',
+            'stats.notOperated': 'Aucun vol effectué pour l’instant',
+            'stats.flights': 'Vols',
+            'stats.operated': 'Effectués',
+            'stats.averageDelay': 'Retard moyen',
+            'stats.minutes': '{minutes} min',
+            'stats.cancelled': 'Annulés',
+            'stats.busiestHour': 'Heure la plus chargée',
+            'stats.hourly': 'Vols par heure',
+            'stats.hourBar': 'Vols à {hour} : {count}',
+            'stats.topRoutes': 'Principales lignes',
+            'stats.topAirlines': 'Principales compagnies',
+            'stats.week': '{days} derniers jours, arrivées et départs : {percent} % à l’heure',
+            'watch.add': 'Suivre ce vol',
+            'watch.remove': 'Ne plus suivre ce vol',
+            'rotation.inboundDelayed': 'Avion à l’arrivée en retard',
+            'rotation.predicted': '{flight} est en retard : prévoir environ {minutes} min de retard',
+            'diversion.to': 'Dérouté vers {code}',
+            'diversion.here': 'Dérouté ici',
+            'diversion.recoveryOf': 'Reprise après déroutement',
+            'notify.landed': '{flight} a atterri',
+            'notify.departed': '{flight} est parti',
+            'notify.enRoute': '{flight} a décollé',
+            'notify.cancelled': '{flight} annulé',
+            'notify.diverted': '{flight} dérouté',
+            'notify.divertedTo': '{flight} dérouté vers {code}',
+            'notify.late': '{flight} désormais en retard de {minutes} min',
+            'notify.early': '{flight} désormais en avance de {minutes} min',
+            'notify.onTime': '{flight} désormais à l’heure',
+            'notify.status': '{flight} : {status}',
+            'time.withZone': '{time} (heure de {city})',
+            'status.scheduled': 'Prévu',
+            'status.active': 'En vol',
+            'status.en route': 'En vol',
+            'status.landed': 'Atterri',
+            'status.departed': 'Parti',
+            'status.cancelled': 'Annulé',
+            'status.diverted': 'Dérouté',
+            'status.delayed': 'Retardé',
+            'status.on time': 'À l’heure',
+            'status.early': 'En avance',
+            'status.incident': 'Incident',
+            'status.landing now': 'Atterrissage',
+            'status.boarding': 'Embarquement',
+            'status.departing': 'Décollage'
+        }
+    },
+
+    de: {
+        locale: 'de-DE',
+        name: 'Deutsch',
+        messages: {
+            'page.title': 'Flughafen {city} - Fluginformationen',
+            'header.lastUpdated': 'Zuletzt aktualisiert:',
+            'header.language': 'Sprache',
+            'tab.arrivals': 'Ankünfte',
+            'tab.departures': 'Abflüge',
+            'column.time': 'Zeit',
+            'column.flight': 'Flug',
+            'column.airline': 'Airline',
+            'column.from': 'Von',
+            'column.to': 'Nach',
+            'column.status': 'Status',
+            'table.loading': 'Fluginformationen werden geladen...',
+            'footer.disclaimer': 'Alle Fluginformationen ohne Gewähr. Bitte prüfen Sie den Status vor Reiseantritt bei Ihrer Fluggesellschaft.',
+            'footer.dataFor': 'Daten für',
+            'footer.updatedDaily': 'Täglich aktualisiert',
+            'footer.subscribe': 'Im Kalender abonnieren:',
+            'footer.feeds': 'Änderungen folgen (Atom):',
+            'footer.alertsFeed': 'Annullierungen & Umleitungen',
+            'footer.eventsFeed': 'Alle Änderungen',
+            'kiosk.page': 'Seite {page} von {pages}',
+            'date.label': 'Tag',
+            'date.latest': 'Aktuell',
+            'date.today': 'Heute',
+            'common.notAvailable': 'Nicht verfügbar',
+            'search.placeholder': 'Flug, Airline oder Stadt suchen',
+            'search.label': 'Flüge suchen',
+            'filter.status': 'Statusfilter',
+            'filter.time': 'Tageszeit',
+            'filter.hideLanded': 'Gelandete ausblenden',
+            'filter.hideDeparted': 'Abgeflogene ausblenden',
+            'filter.hideCancelled': 'Annullierte ausblenden',
+            'filter.next2h': 'Nächste 2 Stunden',
+            'filter.morning': 'Vormittag',
+            'filter.afternoon': 'Nachmittag',
+            'filter.evening': 'Abend',
+            'filter.range': 'Angezeigte Flüge',
+            'filter.today': 'Heute',
+            'filter.rolling': 'Nächste 24 Stunden',
+            'filter.todayTomorrow': 'Heute und morgen',
+            'day.today': 'Heute',
+            'day.tomorrow': 'Morgen',
+            'day.yesterday': 'Gestern',
+            'day.separator': '{day} · {date}',
+            'stale.since': 'Die Flugdaten sind möglicherweise veraltet. Letzte erfolgreiche Aktualisierung: {time}.',
+            'stale.never': 'Die Flugdaten sind möglicherweise veraltet. Noch keine erfolgreiche Aktualisierung.',
+            'schema.mismatch': 'Diese Seite erkennt das Format der Flugdaten nicht. Bitte laden Sie die Seite neu; einige Angaben können fehlen.',
+            'empty.arrivals.today': 'Heute sind keine Ankünfte geplant',
+            'empty.departures.today': 'Heute sind keine Abflüge geplant',
+            'empty.arrivals.day': 'An diesem Tag sind keine Ankünfte geplant',
+            'empty.departures.day': 'An diesem Tag sind keine Abflüge geplant',
+            'empty.noMatches': 'Keine Flüge entsprechen Ihrer Suche oder Ihren Filtern',
+            'error.load': 'Fluginformationen konnten nicht geladen werden. Bitte versuchen Sie es später erneut.',
+            'error.offline': 'Sie sind offline und es sind noch keine Fluginformationen gespeichert.',
+            'offline.since': 'Offline – Daten vom {time}.',
+            'offline.banner': 'Offline – zuletzt gespeicherte Daten.',
+            'flight.codeshares': 'auch {numbers}',
+            'calendar.add': 'Zum Kalender hinzufügen',
+            'calendar.arrival': 'Ankunft {flight} aus {place}',
+            'calendar.departure': 'Abflug {flight} nach {place}',
+            'calendar.terminal': 'Terminal {terminal}',
+            'calendar.gate': 'Gate {gate}',
+            'calendar.airline': 'Airline: {airline}',
+            'calendar.codeshares': 'Auch verkauft als: {numbers}',
+            'calendar.scheduled': 'Planmäßig: {time}',
+            'calendar.expected': 'Erwartet: {time}',
+            'calendar.landed': 'Gelandet: {time}',
+            'calendar.departed': 'Abgeflogen: {time}',
+            'calendar.status': 'Status: {status}',
+            'calendar.localTimes': 'Alle Zeiten in Ortszeit {city}.',
+            'details.terminal': 'Terminal',
+            'details.gate': 'Gate',
+            'details.baggage': 'Gepäckband',
+            'details.aircraft': 'Flugzeug',
+            'details.registration': 'Kennzeichen',
+            'details.distance': 'Entfernung',
+            'details.distanceKm': '{distance} km',
+            'details.inbound': 'Zubringerflug',
+            'details.nextDeparture': 'Nächster Abflug',
+            'details.rotationFrom': '{flight} aus {city}',
+            'details.rotationTo': '{flight} nach {city}',
+            'details.predictedDelay': 'Erwartete Verspätung',
+            'details.predictedMinutes': '+{minutes} Min.',
+            'details.divertedTo': 'Umgeleitet nach',
+            'details.recovery': 'Weiter als',
+            'details.recoveryOf': 'Umgeleiteter Flug',
+            'details.recoveryFlight': '{flight} um {time}',
+            'details.scheduled': 'Planmäßig',
+            'details.estimated': 'Erwartet',
+            'details.actual': 'Tatsächlich',
+            'details.gateOut': 'Abrollen vom Gate',
+            'details.takeoff': 'Start',
+            'details.landing': 'Landung',
+            'details.gateIn': 'Ankunft am Gate',
+            'details.localTimes': 'Alle Zeiten in Ortszeit {city}',
+            'details.none': 'Keine weiteren Angaben zu diesem Flug',
+            'stats.title': 'Statistik',
+            'stats.onTime': 'pünktlich',
+            'stats.gaugeLabel': '{percent} % pünktlich',
+            'stats.notOperated': 'Noch keine Flüge durchgeführt',
+            'stats.flights': 'Flüge',
+            'stats.operated': 'Durchgeführt',
+            'stats.averageDelay': 'Mittlere Verspätung',
+            'stats.minutes': '{minutes} Min.',
+            'stats.cancelled': 'Annulliert',
+            'stats.busiestHour': 'Stärkste Stunde',
+            'stats.hourly': 'Flüge pro Stunde',
+            'stats.hourBar': 'Flüge um {hour}: {count}',
+            'stats.topRoutes': 'Top-Strecken',
+            'stats.topAirlines': 'Top-Airlines',
+            'stats.week': 'Letzte {days} Tage, Ankünfte und Abflüge: {percent} % pünktlich',
+            'watch.add': 'Flug beobachten',
+            'watch.remove': 'Flug nicht mehr beobachten',
+            'rotation.inboundDelayed': 'Zubringerflugzeug verspätet',
+            'rotation.predicted': '{flight} ist verspätet: etwa {minutes} Min. Verspätung erwartet',
+            'diversion.to': 'Umgeleitet nach {code}',
+            'diversion.here': 'Hierher umgeleitet',
+            'diversion.recoveryOf': 'Weiterflug nach Umleitung',
+            'notify.landed': '{flight} ist gelandet',
+            'notify.departed': '{flight} ist abgeflogen',
+            'notify.enRoute': '{flight} ist gestartet',
+            'notify.cancelled': '{flight} annulliert',
+            'notify.diverted': '{flight} umgeleitet',
+            'notify.divertedTo': '{flight} umgeleitet nach {code}',
+            'notify.late': '{flight} jetzt {minutes} Min. verspätet',
+            'notify.early': '{flight} jetzt {minutes} Min. früher',
+            'notify.onTime': '{flight} jetzt pünktlich',
+            'notify.status': '{flight}: {status}',
+            'time.withZone': '{time} (Ortszeit {city})',
+            'status.scheduled': 'Planmäßig',
+            'status.active': 'In der Luft',
+            'status.en route': 'In der Luft',
+            'status.landed': 'Gelandet',
+            'status.departed': 'Abgeflogen',
+            'status.cancelled': 'Annulliert',
+            'status.diverted': 'Umgeleitet',
+            'status.delayed': 'Verspätet',
+            'status.on time': 'Pünktlich',
+            'status.early': 'Verfrüht',
+            'status.incident': 'Vorfall',
+            'status.landing now': 'Landet',
+            'status.boarding': 'Boarding',
+            'status.departing': 'Startet'
+        }
+    }
+};
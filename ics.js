@@ -0,0 +1,129 @@
+// Puerto Vallarta Flight Tracker - iCalendar builder
+// Turns flights into RFC 5545 events. Shared by the board (per-row "add to
+// calendar" downloads, as window.FLIGHT_TRACKER_ICS) and the fetcher (the
+// subscribable data/*.ics feeds, via require). Callers pass the text already
+// written in their language; this file only handles the format.
+
+(function(root) {
+    'use strict';
+
+    const PRODUCT_ID = '-//Puerto Vallarta Flight Tracker//Flights//EN';
+
+    // Length of each event: long enough to show up as a block in calendars
+    const EVENT_MINUTES = 30;
+
+    // Event for one flight. `flight` is a record from the data file; `text`
+    // holds { summary, location, description } in the caller's language.
+    function createFlightEvent(flight, type, airportCode, text) {
+        const start = new Date(flight.actual || flight.estimated || flight.scheduled);
+        const end = new Date(start.getTime() + EVENT_MINUTES * 60000);
+        const scheduledDate = String(flight.scheduled || '').slice(0, 10).replace(/-/g, '');
+
+        return {
+            // Stable per flight and day, so feed refreshes update the event in place
+            // (a recovery flight flies under the number of the diverted one)
+            uid: `${scheduledDate}-${type}-${flight.flightNumber}${flight.recoveryOf ? '-recovery' : ''}-${airportCode}@flight-tracker`.toLowerCase(),
+            start: start,
+            end: end,
+            summary: text.summary,
+            location: text.location,
+            description: text.description,
+            cancelled: (flight.status || '').toLowerCase().includes('cancel')
+        };
+    }
+
+    // Full VCALENDAR document. `name` labels subscribed feeds; `refreshHours`
+    // hints how often subscribers should poll.
+    function buildCalendar(events, { name, refreshHours, stamp = new Date() } = {}) {
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:${PRODUCT_ID}`,
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH'
+        ];
+
+        if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+        if (refreshHours) {
+            lines.push(`REFRESH-INTERVAL;VALUE=DURATION:PT${refreshHours}H`);
+            lines.push(`X-PUBLISHED-TTL:PT${refreshHours}H`);
+        }
+
+        events.forEach(event => {
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:${event.uid}`,
+                `DTSTAMP:${formatUtc(stamp)}`,
+                `DTSTART:${formatUtc(event.start)}`,
+                `DTEND:${formatUtc(event.end)}`,
+                `SUMMARY:${escapeText(event.summary)}`
+            );
+            if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+            if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+            lines.push(`STATUS:${event.cancelled ? 'CANCELLED' : 'CONFIRMED'}`);
+            lines.push('TRANSP:TRANSPARENT');
+            lines.push('END:VEVENT');
+        });
+
+        lines.push('END:VCALENDAR');
+        return lines.map(foldLine).join('\r\n') + '\r\n';
+    }
+
+    // 20260314T200000Z
+    function formatUtc(date) {
+        return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    // Escape TEXT values: backslash, semicolon, comma and newlines
+    function escapeText(value) {
+        return String(value)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    // Fold lines longer than 75 octets (UTF-8) with CRLF + space, without
+    // splitting a character
+    function foldLine(line) {
+        const parts = [];
+        let current = '';
+        let currentBytes = 0;
+
+        for (const char of line) {
+            const bytes = utf8Length(char.codePointAt(0));
+            const limit = parts.length === 0 ? 75 : 74;
+            if (currentBytes + bytes > limit) {
+                parts.push(current);
+                current = '';
+                currentBytes = 0;
+            }
+            current += char;
+            currentBytes += bytes;
+        }
+        parts.push(current);
+
+        return parts.join('\r\n ');
+    }
+
+    // Bytes a code point takes in UTF-8
+    function utf8Length(codePoint) {
+        if (codePoint < 0x80) return 1;
+        if (codePoint < 0x800) return 2;
+        if (codePoint < 0x10000) return 3;
+        return 4;
+    }
+
+    const api = {
+        createFlightEvent,
+        buildCalendar,
+        escapeText,
+        foldLine
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    } else {
+        root.FLIGHT_TRACKER_ICS = api;
+    }
+})(typeof window !== 'undefined' ? window : this);
@@ -1,12 +1,95 @@
 // Puerto Vallarta Flight Tracker
 // Loads and displays flight data from cached JSON
+// UI strings come from the message catalogs in i18n.js
 
 (function() {
     'use strict';
 
+    // Airport shown when no ?airport= parameter is given
+    const DEFAULT_AIRPORT = 'PVR';
+
+    // Used until the data file's airport block says otherwise (PVR's zone)
+    const DEFAULT_TIMEZONE = 'America/Bahia_Banderas';
+
+    // Feed format this page understands (schema/flights.v1.schema.json)
+    const SCHEMA_VERSION = 1;
+
+    // Time-window filter chips: local [start, end) hours; next2h is relative to now
+    const TIME_WINDOWS = {
+        next2h: null,
+        morning: [0, 12],
+        afternoon: [12, 18],
+        evening: [18, 24]
+    };
+
+    // Spans of flights the board can show, as in the fetcher's FLIGHT_WINDOW:
+    // today, 2 hours ago to 22 hours ahead, or today and tomorrow
+    const WINDOW_MODES = ['today', 'rolling', 'today-tomorrow'];
+    const ROLLING_HOURS_BEFORE = 2;
+    const ROLLING_HOURS_AFTER = 22;
+
+    // Message posted to the embedding page when the board's height changes
+    const HEIGHT_MESSAGE_TYPE = 'flight-tracker:height';
+
+    // Polling for new data, and re-rendering so live statuses move on between fetches
+    const REFRESH_INTERVAL_MS = 2 * 60 * 1000;
+    const TICK_INTERVAL_MS = 30 * 1000;
+    // How long a row stays highlighted after its status changes
+    const CHANGE_HIGHLIGHT_MS = 5 * 60 * 1000;
+
+    // Kiosk mode defaults (?page=, ?seconds=), clock tick and the delay
+    // between rows flipping over
+    const KIOSK_ROWS = 10;
+    const KIOSK_PAGE_SECONDS = 10;
+    const CLOCK_INTERVAL_MS = 1000;
+    const FLAP_STAGGER_MS = 60;
+
+    // Archive days averaged in the stats panel's weekly on-time line
+    const STATS_WEEK_DAYS = 7;
+
+    // Timeline rows in the detail drawer, in flight order (message keys details.<event>)
+    const TIMELINE_EVENTS = ['gateOut', 'takeoff', 'landing', 'gateIn'];
+
+    // Message catalogs (i18n.js) and the fallback language
+    const CATALOGS = window.FLIGHT_TRACKER_I18N || {};
+    // iCalendar builder (ics.js), shared with the fetcher's calendar feeds
+    const ICS = window.FLIGHT_TRACKER_ICS;
+    const DEFAULT_LANGUAGE = 'en';
+    const LANGUAGE_STORAGE_KEY = 'flight-tracker-lang';
+    // Watched flights, as "airport:tab:flightNumber" keys
+    const WATCH_STORAGE_KEY = 'flight-tracker-watch';
+    // Days a starred flight stays in the saved list after its scheduled date
+    const WATCH_KEEP_DAYS = 2;
+
     // State
+    let currentLang = detectLanguage();
     let flightData = null;
+    let archiveDays = [];
+    // Conditional-request validators and body of the last data response
+    let lastResponse = { url: null, etag: null, lastModified: null, body: null };
+    // The data on screen could not be refreshed (no connection)
+    let isOffline = false;
+    // "tab:flightId" -> time its status last changed on refresh (see getFlightId)
+    const changedFlights = new Map();
+    // "tab:flightId" of rows whose detail drawer is open
+    const expandedFlights = new Set();
+    const watchedFlights = new Set(readWatchList());
     let currentTab = 'arrivals';
+    const airportCode = getAirportParam();
+    const embedOptions = getEmbedOptions();
+    const kioskOptions = getKioskOptions();
+    // Page of the table shown in kiosk mode; flipAll flips every cell of the
+    // next render (a new tab) rather than only those whose text changed
+    const kiosk = { page: 0, flipAll: false };
+    let selectedDate = getDateParam();
+    const filters = {
+        query: '',
+        hideCompleted: false,
+        hideCancelled: false,
+        timeWindow: null,
+        // Window mode picked on the board; null follows ?range= or the feed's own
+        range: null
+    };
 
     // DOM Elements
     const tabButtons = document.querySelectorAll('.tab-btn');
@@ -14,13 +97,132 @@
     const cityHeader = document.getElementById('city-header');
     const updateTimeEl = document.getElementById('update-time');
     const flightDateEl = document.getElementById('flight-date');
+    const airportCodeEl = document.getElementById('airport-code');
+    const airportCityEl = document.getElementById('airport-city');
+    const airportNameEl = document.getElementById('airport-name');
+    const datePickerEl = document.getElementById('date-picker');
+    const dateSelectEl = document.getElementById('date-select');
+    const staleBannerEl = document.getElementById('stale-banner');
+    const schemaBannerEl = document.getElementById('schema-banner');
+    const offlineBannerEl = document.getElementById('offline-banner');
+    const searchInput = document.getElementById('flight-search');
+    const filterChips = document.querySelectorAll('.filter-chip');
+    const hideCompletedLabelEl = document.getElementById('hide-completed-label');
+    const langSelectEl = document.getElementById('lang-select');
+    const calendarFeedLinks = document.querySelectorAll('.calendar-feed');
+    const eventFeedLinks = document.querySelectorAll('.event-feed');
+    const statsPanelEl = document.getElementById('stats-panel');
+    const statsContentEl = document.getElementById('stats-content');
+    const kioskClockEl = document.getElementById('kiosk-clock');
+    const kioskPageEl = document.getElementById('kiosk-page');
 
     // Initialize
     document.addEventListener('DOMContentLoaded', init);
 
     async function init() {
+        applyEmbedOptions();
+        setupKiosk();
+        setupLanguageSwitcher();
+        applyStaticText();
         setupTabs();
+        setupFilters();
+        setupCalendar();
+        setupEventFeeds();
+        setupDetails();
+        setupWatchList();
+        readHashState();
+        setupOfflineSupport();
+        await loadArchiveIndex();
         await loadFlightData();
+        startAutoRefresh();
+        setupHeightReporting();
+    }
+
+    // Translate a message key, filling {placeholders} from params (falls back to English, then the key)
+    function t(key, params) {
+        const catalog = CATALOGS[currentLang] || {};
+        const fallback = CATALOGS[DEFAULT_LANGUAGE] || {};
+        let message = (catalog.messages && catalog.messages[key])
+            || (fallback.messages && fallback.messages[key])
+            || key;
+
+        if (params) {
+            message = message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+        }
+        return message;
+    }
+
+    // Intl locale for the current language (e.g. es-MX)
+    function getLocale() {
+        return (CATALOGS[currentLang] && CATALOGS[currentLang].locale) || 'en-US';
+    }
+
+    // Pick the language: ?lang= parameter, then the saved choice, then the browser, then English
+    function detectLanguage() {
+        const param = new URLSearchParams(window.location.search).get('lang');
+        const browser = (navigator.languages || [navigator.language])
+            .map(lang => (lang || '').slice(0, 2).toLowerCase());
+
+        const candidates = [param, readStoredLanguage(), ...browser];
+        return candidates.find(lang => lang && CATALOGS[lang]) || DEFAULT_LANGUAGE;
+    }
+
+    // localStorage can be unavailable (private mode, sandboxed iframes)
+    function readStoredLanguage() {
+        try {
+            return localStorage.getItem(LANGUAGE_STORAGE_KEY);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // Language switcher in the header
+    function setupLanguageSwitcher() {
+        langSelectEl.innerHTML = Object.keys(CATALOGS)
+            .map(lang => `<option value="${lang}">${escapeHtml(CATALOGS[lang].name)}</option>`)
+            .join('');
+        langSelectEl.value = currentLang;
+        langSelectEl.addEventListener('change', () => setLanguage(langSelectEl.value));
+    }
+
+    // Switch language in place; the tab and filters stay as they are
+    function setLanguage(lang) {
+        if (!CATALOGS[lang]) return;
+        currentLang = lang;
+
+        try {
+            localStorage.setItem(LANGUAGE_STORAGE_KEY, lang);
+        } catch (e) {
+            // Not persisted; the URL still carries the choice
+        }
+
+        // Keep ?lang= in the URL (the hash with tab and filters is preserved)
+        const url = new URL(window.location.href);
+        url.searchParams.set('lang', lang);
+        history.replaceState(null, '', url);
+
+        applyStaticText();
+        switchTab(currentTab);
+        renderDateOptions();
+        if (flightData) {
+            renderData();
+        }
+    }
+
+    // Translate the static markup ([data-i18n], [data-i18n-placeholder], [data-i18n-label])
+    function applyStaticText() {
+        document.documentElement.lang = currentLang;
+        document.title = t('page.title', { city: airportCityEl.textContent });
+
+        document.querySelectorAll('[data-i18n]').forEach(el => {
+            el.textContent = t(el.dataset.i18n);
+        });
+        document.querySelectorAll('[data-i18n-placeholder]').forEach(el => {
+            el.placeholder = t(el.dataset.i18nPlaceholder);
+        });
+        document.querySelectorAll('[data-i18n-label]').forEach(el => {
+            el.setAttribute('aria-label', t(el.dataset.i18nLabel));
+        });
     }
 
     // Tab Navigation
@@ -30,98 +232,1363 @@
                 const tab = btn.dataset.tab;
                 if (tab === currentTab) return;
 
-                // Update active state
-                tabButtons.forEach(b => b.classList.remove('active'));
-                btn.classList.add('active');
+                switchTab(tab);
+                renderFlights();
+            });
+        });
+    }
 
-                // Update header
-                cityHeader.textContent = tab === 'arrivals' ? 'From' : 'To';
+    // Switch to a tab: update the buttons and column header (does not re-render)
+    function switchTab(tab) {
+        currentTab = tab;
 
-                // Switch tab
-                currentTab = tab;
+        // Update active state
+        tabButtons.forEach(b => b.classList.toggle('active', b.dataset.tab === tab));
+
+        // Update header
+        cityHeader.textContent = t(tab === 'arrivals' ? 'column.from' : 'column.to');
+        hideCompletedLabelEl.textContent = t(tab === 'arrivals' ? 'filter.hideLanded' : 'filter.hideDeparted');
+    }
+
+    // Search box and filter chips
+    function setupFilters() {
+        searchInput.addEventListener('input', () => {
+            filters.query = searchInput.value;
+            renderFlights();
+        });
+
+        filterChips.forEach(chip => {
+            chip.addEventListener('click', () => {
+                if (chip.dataset.filter === 'hide-completed') {
+                    filters.hideCompleted = !filters.hideCompleted;
+                } else if (chip.dataset.filter === 'hide-cancelled') {
+                    filters.hideCancelled = !filters.hideCancelled;
+                } else if (chip.dataset.time) {
+                    filters.timeWindow = filters.timeWindow === chip.dataset.time ? null : chip.dataset.time;
+                } else if (chip.dataset.range) {
+                    filters.range = chip.dataset.range;
+                }
                 renderFlights();
             });
         });
+
+        // Shared links opened in the same page, or back/forward between hashes
+        window.addEventListener('hashchange', () => {
+            readHashState();
+            renderFlights();
+        });
+    }
+
+    // Calendar feed links in the footer, and the per-row "add to calendar" buttons
+    function setupCalendar() {
+        calendarFeedLinks.forEach(link => {
+            link.href = `data/${airportCode.toLowerCase()}-${link.dataset.feed}.ics`;
+        });
+
+        flightTbody.addEventListener('click', event => {
+            const button = event.target.closest('.calendar-btn');
+            if (!button || !flightData) return;
+
+            const flights = (currentTab === 'arrivals' ? flightData.arrivals : flightData.departures) || [];
+            const flight = flights.find(f => getFlightId(f) === button.dataset.flightId);
+            if (flight) downloadCalendarEvent(flight);
+        });
+    }
+
+    // Atom feeds of the airport's flight changes, in the footer and the page head
+    function setupEventFeeds() {
+        eventFeedLinks.forEach(link => {
+            link.href = `data/${airportCode.toLowerCase()}-${link.dataset.feed}.atom`;
+        });
+    }
+
+    // Open and close a row's detail drawer by clicking the row (or its flight number button)
+    function setupDetails() {
+        flightTbody.addEventListener('click', event => {
+            if (event.target.closest('.calendar-btn, .watch-btn, .details-row')) return;
+
+            const row = event.target.closest('tr[data-flight-id]');
+            if (row) toggleDetails(row.dataset.flightId);
+        });
+    }
+
+    // Toggle one flight's drawer, keeping focus on its button across the re-render
+    function toggleDetails(flightId) {
+        const key = `${currentTab}:${flightId}`;
+        if (expandedFlights.has(key)) expandedFlights.delete(key);
+        else expandedFlights.add(key);
+
+        renderFlights();
+
+        const button = [...flightTbody.querySelectorAll('.details-toggle')]
+            .find(b => b.dataset.flightId === flightId);
+        if (button) button.focus();
+    }
+
+    // Identity of a flight across refreshes: numbers come back every day, so
+    // the number with its scheduled local date, e.g. "AM640@2026-03-14"
+    // ("+recovery" for the flight continuing a diverted one under its number)
+    function getFlightId(flight) {
+        return `${flight.flightNumber}@${formatIsoDate(flight.scheduled)}${flight.recoveryOf ? '+recovery' : ''}`;
+    }
+
+    // Star buttons: watched flights are pinned to the top and notify on changes
+    function setupWatchList() {
+        flightTbody.addEventListener('click', event => {
+            const button = event.target.closest('.watch-btn');
+            if (button) toggleWatch(button.dataset.flightId);
+        });
+    }
+
+    // Star or unstar a flight (by getFlightId) on the current tab
+    function toggleWatch(flightId) {
+        const key = getWatchKey(currentTab, flightId);
+        if (watchedFlights.has(key)) {
+            watchedFlights.delete(key);
+        } else {
+            watchedFlights.add(key);
+            requestNotificationPermission();
+        }
+        saveWatchList();
+        renderFlights();
+
+        const button = [...flightTbody.querySelectorAll('.watch-btn')]
+            .find(b => b.dataset.flightId === flightId);
+        if (button) button.focus();
+    }
+
+    // Watch list key, e.g. "PVR:arrivals:AM640@2026-03-14": flight numbers
+    // repeat across airports, directions and days (see getFlightId)
+    function getWatchKey(tab, flightId) {
+        return `${airportCode}:${tab}:${flightId}`;
+    }
+
+    function isWatched(flight) {
+        return watchedFlights.has(getWatchKey(currentTab, getFlightId(flight)));
+    }
+
+    // localStorage can be unavailable (private mode, sandboxed iframes); the
+    // watch list then lasts as long as the page
+    function readWatchList() {
+        try {
+            const list = JSON.parse(localStorage.getItem(WATCH_STORAGE_KEY));
+            return Array.isArray(list) ? list.filter(isCurrentWatchKey) : [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    // Drops stars from flights more than a couple of days gone, and older
+    // keys without a date, which matched the number on every day
+    function isCurrentWatchKey(key) {
+        const match = /@(\d{4}-\d{2}-\d{2})/.exec(key);
+        const cutoff = new Date(Date.now() - WATCH_KEEP_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+        return Boolean(match) && match[1] >= cutoff;
+    }
+
+    function saveWatchList() {
+        try {
+            localStorage.setItem(WATCH_STORAGE_KEY, JSON.stringify([...watchedFlights]));
+        } catch (e) {
+            // Not persisted
+        }
+    }
+
+    // Ask once, when the first flight is starred (browsers only allow it from a click)
+    function requestNotificationPermission() {
+        if (!('Notification' in window) || Notification.permission !== 'default') return;
+        Notification.requestPermission();
+    }
+
+    // Restore tab and filters from the URL hash (#tab=departures&q=am&hide=completed&time=next2h)
+    function readHashState() {
+        const params = new URLSearchParams(window.location.hash.slice(1));
+        const hidden = (params.get('hide') || '').split(',');
+
+        // A ?tab= parameter pins the tab
+        const tab = embedOptions.tab || (params.get('tab') === 'departures' ? 'departures' : 'arrivals');
+        filters.query = params.get('q') || '';
+        filters.hideCompleted = hidden.includes('completed');
+        filters.hideCancelled = hidden.includes('cancelled');
+        filters.timeWindow = Object.keys(TIME_WINDOWS).includes(params.get('time')) ? params.get('time') : null;
+        filters.range = WINDOW_MODES.includes(params.get('range')) ? params.get('range') : null;
+
+        searchInput.value = filters.query;
+        switchTab(tab);
+    }
+
+    // Keep the URL hash in step with the tab and filters so the view can be shared
+    function writeHashState() {
+        const params = new URLSearchParams();
+        const hidden = [];
+        if (filters.hideCompleted) hidden.push('completed');
+        if (filters.hideCancelled) hidden.push('cancelled');
+
+        if (currentTab !== 'arrivals') params.set('tab', currentTab);
+        if (filters.query.trim()) params.set('q', filters.query.trim());
+        if (hidden.length) params.set('hide', hidden.join(','));
+        if (filters.timeWindow) params.set('time', filters.timeWindow);
+        if (filters.range) params.set('range', filters.range);
+
+        const hash = params.toString().replace(/%2C/g, ',');
+        const url = window.location.pathname + window.location.search + (hash ? '#' + hash : '');
+        history.replaceState(null, '', url);
+    }
+
+    // Reflect the filter state on the chips
+    function updateFilterChips() {
+        filterChips.forEach(chip => {
+            let active = false;
+            if (chip.dataset.filter === 'hide-completed') active = filters.hideCompleted;
+            else if (chip.dataset.filter === 'hide-cancelled') active = filters.hideCancelled;
+            else if (chip.dataset.time) active = filters.timeWindow === chip.dataset.time;
+            else if (chip.dataset.range) active = getRangeMode() === chip.dataset.range;
+
+            chip.classList.toggle('active', active);
+            chip.setAttribute('aria-pressed', String(active));
+        });
+    }
+
+    // Apply search, status and time-window filters to a list of flights
+    function applyFilters(flights) {
+        const query = normalizeText(filters.query).replace(/\s+/g, '');
+        const now = Date.now();
+
+        return flights.filter(flight => {
+            if (!isInRange(flight, now)) return false;
+
+            const s = (flight.status || '').toLowerCase();
+            if (filters.hideCompleted && (s.includes('land') || s.includes('depart'))) return false;
+            if (filters.hideCancelled && s.includes('cancel')) return false;
+
+            if (filters.timeWindow && !isInTimeWindow(flight, filters.timeWindow, now)) return false;
+
+            // Fixed ?airline= and ?city= filters: codes must match exactly, names partially
+            if (embedOptions.airline.length && !matchesAny(embedOptions.airline,
+                [flight.airlineCode, flight.airlineIata], [flight.airline])) return false;
+            if (embedOptions.city.length && !matchesAny(embedOptions.city,
+                [currentTab === 'arrivals' ? flight.originCode : flight.destinationCode],
+                [currentTab === 'arrivals' ? flight.origin : flight.destination])) return false;
+
+            if (query) {
+                const fields = [
+                    flight.flightNumber,
+                    ...(flight.codeshares || []),
+                    flight.airline,
+                    flight.airlineCode,
+                    flight.airlineIata,
+                    currentTab === 'arrivals' ? flight.origin : flight.destination,
+                    currentTab === 'arrivals' ? flight.originName : flight.destinationName,
+                    currentTab === 'arrivals' ? flight.originCode : flight.destinationCode
+                ];
+                const match = fields.some(field => normalizeText(field).replace(/\s+/g, '').includes(query));
+                if (!match) return false;
+            }
+
+            return true;
+        });
+    }
+
+    // Whether any of the terms equals one of the codes or appears in one of the names
+    function matchesAny(terms, codes, names) {
+        return terms.some(term => codes.some(code => normalizeText(code) === term)
+            || names.some(name => normalizeText(name).includes(term)));
+    }
+
+    // Whether a flight's expected time falls in a time window (see TIME_WINDOWS)
+    function isInTimeWindow(flight, windowName, now) {
+        const timeStr = flight.actual || flight.estimated || flight.scheduled;
+        if (!timeStr) return false;
+
+        const time = new Date(timeStr).getTime();
+        if (isNaN(time)) return false;
+
+        if (windowName === 'next2h') {
+            return time >= now && time <= now + 2 * 60 * 60 * 1000;
+        }
+
+        const [startHour, endHour] = TIME_WINDOWS[windowName];
+        const hour = getLocalHour(time);
+        return hour >= startHour && hour < endHour;
+    }
+
+    // Window mode in effect: picked on the board, else ?range=, else the
+    // feed's own. Past days have no "now" to roll around, so they show the day.
+    function getRangeMode() {
+        const span = flightData && flightData.meta && flightData.meta.window;
+        const mode = filters.range || embedOptions.range || (span && span.mode) || 'today';
+        return selectedDate && mode === 'rolling' ? 'today' : mode;
+    }
+
+    // Whether a flight is in the window: scheduled in it, or still expected
+    // in it after a delay (e.g. a late evening flight now due after midnight)
+    function isInRange(flight, now) {
+        const times = [flight.scheduled, flight.actual || flight.estimated]
+            .map(time => new Date(time || NaN).getTime())
+            .filter(time => !isNaN(time));
+        const mode = getRangeMode();
+
+        if (mode === 'rolling') {
+            const start = now - ROLLING_HOURS_BEFORE * 60 * 60 * 1000;
+            const end = now + ROLLING_HOURS_AFTER * 60 * 60 * 1000;
+            return times.some(time => time >= start && time < end);
+        }
+
+        const base = getBaseDate(now);
+        const dates = mode === 'today-tomorrow' ? [base, addDays(base, 1)] : [base];
+        return times.some(time => dates.includes(formatIsoDate(time)));
+    }
+
+    // Local date the board counts days from: the day picked, else today,
+    // unless the data ends before today (e.g. just after midnight, before
+    // the next fetch)
+    function getBaseDate(now) {
+        if (selectedDate) return selectedDate;
+
+        const today = formatIsoDate(now);
+        const span = flightData.meta && flightData.meta.window;
+        const lastDay = span
+            ? formatIsoDate(new Date(span.end).getTime() - 1)
+            : formatIsoDate(flightData.lastUpdated);
+        return lastDay < today ? lastDay : today;
+    }
+
+    // Days from the board's date to the local date of a timestamp (+1 = tomorrow)
+    function getDayOffset(time, base) {
+        return Math.round((Date.parse(`${formatIsoDate(time)}T00:00:00Z`) - Date.parse(`${base}T00:00:00Z`)) / 86400000);
+    }
+
+    // Lowercase and strip accents so "mexico" finds "México"
+    function normalizeText(value) {
+        return String(value || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .trim();
+    }
+
+    // Read the airport IATA code from the URL (?airport=gdl)
+    function getAirportParam() {
+        const param = new URLSearchParams(window.location.search).get('airport');
+        if (param && /^[a-z]{3}$/i.test(param)) return param.toUpperCase();
+        return DEFAULT_AIRPORT;
+    }
+
+    // Embed options from the URL, e.g. ?embed=1&tab=departures&rows=8&theme=dark&airline=AM,Y4
+    // (all but embed=1 also work on the full page)
+    function getEmbedOptions() {
+        const params = new URLSearchParams(window.location.search);
+        const tab = params.get('tab');
+        const rows = parseInt(params.get('rows'), 10);
+        const list = name => (params.get(name) || '').split(',').map(normalizeText).filter(Boolean);
+
+        return {
+            enabled: params.get('embed') === '1',
+            tab: tab === 'arrivals' || tab === 'departures' ? tab : null,
+            rows: rows > 0 ? rows : null,
+            theme: params.get('theme') === 'dark' ? 'dark' : 'light',
+            airline: list('airline'),
+            city: list('city'),
+            range: WINDOW_MODES.includes(params.get('range')) ? params.get('range') : null,
+            header: params.get('header') !== '0',
+            footer: params.get('footer') !== '0'
+        };
+    }
+
+    // Page classes for the embed options; the layout itself is in styles.css
+    function applyEmbedOptions() {
+        document.documentElement.dataset.theme = embedOptions.theme;
+        document.body.classList.toggle('embed', embedOptions.enabled);
+        document.body.classList.toggle('single-tab', Boolean(embedOptions.tab));
+        document.body.classList.toggle('no-header', !embedOptions.header);
+        document.body.classList.toggle('no-footer', !embedOptions.footer);
+    }
+
+    // In an iframe, post the board's height to the parent whenever it changes,
+    // so the embedding page can size the iframe to fit (see README)
+    function setupHeightReporting() {
+        if (window.parent === window) return;
+
+        let lastHeight = null;
+        const reportHeight = () => {
+            const height = Math.ceil(document.body.getBoundingClientRect().height);
+            if (height === lastHeight) return;
+            lastHeight = height;
+            window.parent.postMessage({ type: HEIGHT_MESSAGE_TYPE, height: height }, '*');
+        };
+
+        if (typeof ResizeObserver === 'function') {
+            new ResizeObserver(reportHeight).observe(document.body);
+        } else {
+            new MutationObserver(reportHeight).observe(document.body, { childList: true, subtree: true });
+        }
+        reportHeight();
+    }
+
+    // Kiosk options from the URL, e.g. ?kiosk=1&page=8&seconds=15&flap=1
+    // (rows per page, seconds per page, split-flap animation)
+    function getKioskOptions() {
+        const params = new URLSearchParams(window.location.search);
+        const rows = parseInt(params.get('page'), 10);
+        const seconds = parseInt(params.get('seconds'), 10);
+
+        return {
+            enabled: params.get('kiosk') === '1',
+            rows: rows > 0 ? rows : KIOSK_ROWS,
+            seconds: seconds > 0 ? seconds : KIOSK_PAGE_SECONDS,
+            flap: params.get('flap') === '1'
+        };
+    }
+
+    // Kiosk mode for unattended screens: large type sized to the screen, a
+    // clock, and pages and tabs that turn by themselves. The table renders
+    // as usual; every render is paged by the observer below.
+    function setupKiosk() {
+        if (!kioskOptions.enabled) return;
+
+        document.body.classList.add('kiosk');
+        document.body.style.setProperty('--kiosk-rows', kioskOptions.rows);
+
+        new MutationObserver(records => {
+            const removed = records.flatMap(record => [...record.removedNodes]);
+            showKioskPage(kiosk.flipAll ? null : getChangedCells(removed));
+            kiosk.flipAll = false;
+        }).observe(flightTbody, { childList: true });
+
+        updateClock();
+        setInterval(updateClock, CLOCK_INTERVAL_MS);
+        setInterval(turnKioskPage, kioskOptions.seconds * 1000);
+        keepScreenAwake();
+    }
+
+    // Kiosk clock: the airport's local time
+    function updateClock() {
+        const now = new Date().toISOString();
+        kioskClockEl.textContent = formatTime(now);
+        kioskClockEl.dateTime = now;
+    }
+
+    // Next page of the table, or the first page of the other tab after the
+    // last one (unless ?tab= pins the tab)
+    function turnKioskPage() {
+        if (!flightData) {
+            // Nothing on screen yet (the first load failed): try again
+            if (!selectedDate) loadFlightData();
+            return;
+        }
+
+        if (kiosk.page + 1 < getKioskPages().length) {
+            kiosk.page++;
+            showKioskPage(null);
+            return;
+        }
+
+        kiosk.page = 0;
+        kiosk.flipAll = true;
+        if (!embedOptions.tab) switchTab(currentTab === 'arrivals' ? 'departures' : 'arrivals');
+        renderFlights();
+    }
+
+    // The table's rows split into pages of ?page= rows. Detail drawers stay
+    // with their flight, and a day heading never ends a page.
+    function getKioskPages() {
+        const pages = [[]];
+        Array.from(flightTbody.rows).forEach(row => {
+            let page = pages[pages.length - 1];
+            const attached = row.classList.contains('details-row') && page.length > 0;
+            if (!attached && countFlightRows(page) >= kioskOptions.rows) {
+                page = [];
+                pages.push(page);
+            }
+            page.push(row);
+        });
+
+        for (let i = 0; i < pages.length - 1; i++) {
+            const last = pages[i][pages[i].length - 1];
+            if (pages[i].length > 1 && last.classList.contains('day-separator')) {
+                pages[i + 1].unshift(pages[i].pop());
+            }
+        }
+        return pages;
+    }
+
+    // Rows that take a line of their own on a kiosk page
+    function countFlightRows(rows) {
+        return rows.filter(row => !row.classList.contains('details-row')).length;
+    }
+
+    // Show the current kiosk page and flip its cells: all of them (null), or
+    // only those in a set of changed cells
+    function showKioskPage(flipCells) {
+        const pages = getKioskPages();
+        kiosk.page = Math.min(kiosk.page, pages.length - 1);
+        pages.forEach((rows, index) => rows.forEach(row => {
+            row.hidden = index !== kiosk.page;
+        }));
+
+        kioskPageEl.textContent = pages.length > 1
+            ? t('kiosk.page', { page: kiosk.page + 1, pages: pages.length })
+            : '';
+
+        if (!kioskOptions.flap) return;
+        pages[kiosk.page].forEach((row, index) => {
+            Array.from(row.cells).forEach(cell => {
+                if (flipCells && !flipCells.has(cell)) return;
+                cell.style.setProperty('--flap-delay', `${index * FLAP_STAGGER_MS}ms`);
+                // Restart the animation on cells that flipped before
+                cell.classList.remove('flap');
+                void cell.offsetWidth;
+                cell.classList.add('flap');
+            });
+        });
+    }
+
+    // Cells of the rendered table whose text differs from the same flight's
+    // cell in the rows it replaced
+    function getChangedCells(removedRows) {
+        const previous = new Map();
+        removedRows
+            .filter(row => row.dataset && row.dataset.flightId)
+            .forEach(row => Array.from(row.cells).forEach((cell, index) => {
+                previous.set(`${row.dataset.flightId}:${index}`, cell.textContent.trim());
+            }));
+
+        const changed = new Set();
+        flightTbody.querySelectorAll('tr[data-flight-id]').forEach(row => {
+            Array.from(row.cells).forEach((cell, index) => {
+                const text = previous.get(`${row.dataset.flightId}:${index}`);
+                if (text !== undefined && text !== cell.textContent.trim()) changed.add(cell);
+            });
+        });
+        return changed;
+    }
+
+    // Keep the screen from sleeping where the browser allows it; the lock is
+    // released whenever the page is hidden, so it is asked for again
+    function keepScreenAwake() {
+        if (!navigator.wakeLock) return;
+
+        const request = () => navigator.wakeLock.request('screen').catch(() => {});
+        request();
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden) request();
+        });
+    }
+
+    // Read the archive date from the URL (?date=YYYY-MM-DD); null means the latest data
+    function getDateParam() {
+        const param = new URLSearchParams(window.location.search).get('date');
+        if (param && /^\d{4}-\d{2}-\d{2}$/.test(param)) return param;
+        return null;
+    }
+
+    // Load the archive manifest and fill the date selector (hidden if there is no archive)
+    async function loadArchiveIndex() {
+        try {
+            const response = await fetch(`data/archive/${airportCode.toLowerCase()}/index.json`, { cache: 'no-store' });
+            if (!response.ok) throw new Error(response.statusText);
+
+            const manifest = await response.json();
+            archiveDays = manifest.days || [];
+
+            renderDateOptions();
+            dateSelectEl.addEventListener('change', () => selectDate(dateSelectEl.value || null));
+            datePickerEl.hidden = false;
+        } catch (error) {
+            datePickerEl.hidden = true;
+        }
+    }
+
+    // Fill the date selector from the archive manifest
+    function renderDateOptions() {
+        dateSelectEl.innerHTML = `<option value="">${escapeHtml(t('date.latest'))}</option>` + archiveDays
+            .map(day => `<option value="${escapeHtml(day.date)}">${escapeHtml(formatShortDate(parseArchiveDate(day.date)))}</option>`)
+            .join('');
+        dateSelectEl.value = selectedDate || '';
+    }
+
+    // Switch to another day and keep it in the URL so the link can be shared
+    function selectDate(date) {
+        selectedDate = date;
+
+        const url = new URL(window.location.href);
+        if (date) url.searchParams.set('date', date);
+        else url.searchParams.delete('date');
+        history.replaceState(null, '', url);
+
+        loadFlightData();
+    }
+
+    // Data file for the selected day: the live file, or an archived snapshot
+    function getDataUrl() {
+        const code = airportCode.toLowerCase();
+        return selectedDate
+            ? `data/archive/${code}/${selectedDate}.json`
+            : `data/${code}.json`;
     }
 
     // Load flight data from JSON file
     async function loadFlightData() {
         try {
-            const response = await fetch('data/flights.json?' + Date.now());
-            if (!response.ok) throw new Error('Failed to load flight data');
-            
-            flightData = await response.json();
-            
-            // Update last updated time
-            if (flightData.lastUpdated) {
-                const date = new Date(flightData.lastUpdated);
-                updateTimeEl.textContent = formatDateTime(date);
-                flightDateEl.textContent = formatDate(date);
-            } else {
-                updateTimeEl.textContent = 'Not available';
-                flightDateEl.textContent = 'Today';
+            const result = await fetchFlightData(getDataUrl());
+            if (result) flightData = result.data;
+            isOffline = !navigator.onLine;
+            renderData();
+            if (result) lastResponse = result.response;
+        } catch (error) {
+            console.error('Error loading flight data:', error);
+            showError(t(navigator.onLine ? 'error.load' : 'error.offline'));
+        }
+    }
+
+    // Fetch a data file with If-None-Match/If-Modified-Since.
+    // Returns null when the server says (or the body shows) nothing changed,
+    // else the data and the response, which the caller stores in lastResponse
+    // once the data is on screen so a failed update is fetched again
+    async function fetchFlightData(url) {
+        const headers = {};
+        if (lastResponse.url === url) {
+            if (lastResponse.etag) headers['If-None-Match'] = lastResponse.etag;
+            if (lastResponse.lastModified) headers['If-Modified-Since'] = lastResponse.lastModified;
+        }
+
+        const response = await fetch(url, { cache: 'no-store', headers: headers });
+        if (response.status === 304) return null;
+        if (!response.ok) throw new Error('Failed to load flight data');
+
+        const body = await response.text();
+        if (lastResponse.url === url && body === lastResponse.body) return null;
+
+        return {
+            data: JSON.parse(body),
+            response: {
+                url: url,
+                etag: response.headers.get('ETag'),
+                lastModified: response.headers.get('Last-Modified'),
+                body: body
             }
+        };
+    }
 
-            renderFlights();
+    // Poll for new data, and re-render periodically so live statuses advance
+    function startAutoRefresh() {
+        setInterval(() => {
+            if (!document.hidden) refreshFlightData();
+        }, REFRESH_INTERVAL_MS);
+
+        setInterval(() => {
+            if (!document.hidden && flightData && !selectedDate) renderFlights();
+        }, TICK_INTERVAL_MS);
+
+        // Catch up straight away when a hidden tab becomes visible again
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden) refreshFlightData();
+        });
+    }
+
+    // Background refresh: only re-render if the data changed, and keep the
+    // current board on failure rather than replacing it with an error
+    async function refreshFlightData() {
+        if (selectedDate || !flightData) return;
+
+        try {
+            const result = await fetchFlightData(getDataUrl());
+            if (!result) {
+                setOffline(!navigator.onLine);
+                return;
+            }
+
+            recordStatusChanges(flightData, result.data);
+            notifyWatchedChanges(flightData, result.data);
+            flightData = result.data;
+            isOffline = !navigator.onLine;
+            renderData();
+            lastResponse = result.response;
         } catch (error) {
-            console.error('Error loading flight data:', error);
-            showError('Unable to load flight information. Please try again later.');
+            console.warn('Flight data refresh failed, keeping current data:', error);
+            setOffline(true);
         }
     }
 
+    // Install the service worker (sw.js) that keeps the board and its last
+    // data available offline, and follow the connection: the worker reports
+    // each background refresh of the data it answered from its cache
+    function setupOfflineSupport() {
+        window.addEventListener('offline', () => setOffline(true));
+        window.addEventListener('online', () => {
+            setOffline(false);
+            refreshFlightData();
+        });
+
+        if (!('serviceWorker' in navigator)) return;
+
+        navigator.serviceWorker.register('sw.js').catch(error => {
+            console.warn('Service worker registration failed:', error);
+        });
+        navigator.serviceWorker.addEventListener('message', event => {
+            const message = event.data || {};
+            if (message.type !== 'flight-data' || message.url !== new URL(getDataUrl(), window.location.href).href) return;
+
+            setOffline(message.state === 'offline');
+            if (message.state === 'updated') refreshFlightData();
+        });
+    }
+
+    // Show or hide the offline indicator
+    function setOffline(offline) {
+        isOffline = offline;
+        if (flightData) renderOfflineBanner();
+    }
+
+    // Remember flights whose status flipped between two versions of the data
+    function recordStatusChanges(previous, next) {
+        const now = Date.now();
+
+        ['arrivals', 'departures'].forEach(tab => {
+            const before = new Map((previous[tab] || []).map(flight => [getFlightId(flight), flight.status]));
+
+            (next[tab] || []).forEach(flight => {
+                const oldStatus = before.get(getFlightId(flight));
+                if (oldStatus && oldStatus !== flight.status) {
+                    changedFlights.set(`${tab}:${getFlightId(flight)}`, now);
+                }
+            });
+        });
+    }
+
+    // Notify about watched flights whose status or expected time changed on refresh
+    function notifyWatchedChanges(previous, next) {
+        if (!('Notification' in window) || Notification.permission !== 'granted') return;
+
+        ['arrivals', 'departures'].forEach(tab => {
+            const before = new Map((previous[tab] || []).map(flight => [getFlightId(flight), flight]));
+
+            (next[tab] || []).forEach(flight => {
+                const key = getWatchKey(tab, getFlightId(flight));
+                const old = before.get(getFlightId(flight));
+                if (!watchedFlights.has(key) || !old) return;
+
+                const title = describeWatchedChange(old, flight);
+                if (!title) return;
+
+                const place = tab === 'arrivals'
+                    ? [flight.origin, flight.originCode]
+                    : [flight.destination, flight.destinationCode];
+                showNotification(title, {
+                    body: `${place[1] ? `${place[0]} (${place[1]})` : place[0] || ''} · ${formatTime(flight.actual || flight.estimated || flight.scheduled)}`,
+                    tag: key,
+                    icon: flight.airlineLogo || undefined
+                });
+            });
+        });
+    }
+
+    // Show a notification through the service worker where there is one:
+    // Chrome on Android only allows those, and its Notification constructor
+    // throws. A notification that can't be shown never stops the refresh
+    function showNotification(title, options) {
+        const showInPage = () => {
+            try {
+                new Notification(title, options);
+            } catch (error) {
+                console.warn('Could not show notification:', error);
+            }
+        };
+
+        if (!('serviceWorker' in navigator)) {
+            showInPage();
+            return;
+        }
+
+        navigator.serviceWorker.getRegistration()
+            .then(registration => registration ? registration.showNotification(title, options) : showInPage())
+            .catch(error => console.warn('Could not show notification:', error));
+    }
+
+    // Notification title for what changed, e.g. "AM330 landed" or
+    // "WS2412 now 40 min late"; null when nothing the visitor cares about did
+    function describeWatchedChange(old, flight) {
+        const params = { flight: flight.flightNumber };
+        const status = (flight.status || '').toLowerCase();
+
+        if (flight.status !== old.status) {
+            if (status.includes('cancel')) return t('notify.cancelled', params);
+            if (status.includes('divert')) {
+                return flight.divertedTo && flight.divertedTo.code
+                    ? t('notify.divertedTo', { ...params, code: flight.divertedTo.code })
+                    : t('notify.diverted', params);
+            }
+            if (status.includes('land')) return t('notify.landed', params);
+            if (status.includes('depart')) return t('notify.departed', params);
+            if (status.includes('en route')) return t('notify.enRoute', params);
+        }
+
+        const expected = flight.actual || flight.estimated;
+        if (expected && expected !== (old.actual || old.estimated) && flight.delayMinutes !== null) {
+            const minutes = Math.abs(flight.delayMinutes);
+            if (flight.punctuality === 'Delayed') return t('notify.late', { ...params, minutes: minutes });
+            if (flight.punctuality === 'Early') return t('notify.early', { ...params, minutes: minutes });
+            return t('notify.onTime', params);
+        }
+
+        if (flight.status !== old.status) {
+            return t('notify.status', { ...params, status: formatStatus(flight.status) });
+        }
+        return null;
+    }
+
+    // Whether a row should still be highlighted after a status change
+    function isRecentlyChanged(flight) {
+        const changedAt = changedFlights.get(`${currentTab}:${getFlightId(flight)}`);
+        return Boolean(changedAt) && Date.now() - changedAt < CHANGE_HIGHLIGHT_MS;
+    }
+
+    // Status to show right now: between fetches, flights whose expected time has
+    // come are shown as landing, boarding or departing so the board keeps moving
+    function getLiveStatus(flight, now) {
+        const status = flight.status || 'Scheduled';
+        if (selectedDate) return status;
+
+        const s = status.toLowerCase();
+        if (s.includes('cancel') || s.includes('divert') || s.includes('land') || s.includes('depart')) {
+            return status;
+        }
+
+        const expected = new Date(flight.estimated || flight.scheduled).getTime();
+        if (isNaN(expected)) return status;
+
+        const minutesToGo = (expected - now) / 60000;
+        if (currentTab === 'arrivals') {
+            if (minutesToGo <= 5 && minutesToGo > -30) return 'Landing now';
+        } else {
+            if (minutesToGo <= 10 && minutesToGo > -20) return 'Departing';
+            if (minutesToGo <= 40 && minutesToGo > 10) return 'Boarding';
+        }
+        return status;
+    }
+
+    // Render everything that depends on the loaded data
+    function renderData() {
+        renderAirportHeader(flightData.airport);
+        
+        // Update last updated time (when the data was fetched, not the last failed attempt)
+        const dataTime = getDataTime();
+        if (dataTime) {
+            const date = new Date(dataTime);
+            updateTimeEl.textContent = formatDateTime(date);
+            flightDateEl.textContent = formatDate(selectedDate ? parseArchiveDate(selectedDate) : date);
+        } else {
+            updateTimeEl.textContent = t('common.notAvailable');
+            flightDateEl.textContent = selectedDate ? formatDate(parseArchiveDate(selectedDate)) : t('date.today');
+        }
+
+        renderStaleBanner();
+        renderSchemaBanner();
+        renderOfflineBanner();
+        renderFlights();
+    }
+
+    // When the data on screen was fetched from the provider (null if never)
+    function getDataTime() {
+        return flightData.stale
+            ? flightData.lastSuccessfulUpdate
+            : (flightData.lastSuccessfulUpdate || flightData.lastUpdated);
+    }
+
+    // "Offline — showing data from ..." while the data on screen can't be refreshed
+    function renderOfflineBanner() {
+        const dataTime = getDataTime();
+        offlineBannerEl.hidden = !isOffline;
+        offlineBannerEl.textContent = !isOffline ? '' : dataTime
+            ? t('offline.since', { time: formatDateTime(new Date(dataTime)) })
+            : t('offline.banner');
+    }
+
+    // Show a warning when the fetcher kept old data after a failed update
+    function renderStaleBanner() {
+        if (!flightData.stale) {
+            staleBannerEl.hidden = true;
+            return;
+        }
+
+        const since = flightData.lastSuccessfulUpdate
+            ? formatDateTime(new Date(flightData.lastSuccessfulUpdate))
+            : null;
+        staleBannerEl.textContent = since
+            ? t('stale.since', { time: since })
+            : t('stale.never');
+        staleBannerEl.hidden = false;
+    }
+
+    // Warn when the data is in a feed format this page doesn't know (e.g. the
+    // page is cached from before a format change); rows are still shown as far
+    // as their fields can be read
+    function renderSchemaBanner() {
+        schemaBannerEl.hidden = flightData.schemaVersion === SCHEMA_VERSION;
+        schemaBannerEl.textContent = schemaBannerEl.hidden ? '' : t('schema.mismatch');
+    }
+
+    // Fill the header from the JSON's airport block
+    function renderAirportHeader(airport) {
+        if (!airport) return;
+
+        if (airport.code) airportCodeEl.textContent = airport.code;
+        if (airport.city) airportCityEl.textContent = airport.city;
+        if (airport.name) airportNameEl.textContent = airport.name;
+        if (airport.city) document.title = t('page.title', { city: airport.city });
+    }
+
+    // Stats panel for the current tab, from the feed's stats block (hidden for
+    // data written before the fetcher computed stats)
+    function renderStats() {
+        const stats = flightData.stats && flightData.stats[currentTab];
+        if (!stats || !Array.isArray(stats.hourly)) {
+            statsPanelEl.hidden = true;
+            statsContentEl.innerHTML = '';
+            return;
+        }
+
+        const figures = [
+            ['stats.flights', stats.flights],
+            ['stats.operated', stats.operated],
+            ['stats.averageDelay', stats.averageDelayMinutes === null ? '—' : t('stats.minutes', { minutes: stats.averageDelayMinutes })],
+            ['stats.cancelled', (stats.byStatus && stats.byStatus.Cancelled) || 0],
+            ['stats.busiestHour', stats.busiestHour ? `${formatHour(stats.busiestHour.hour)} (${stats.busiestHour.flights})` : '—']
+        ];
+        const week = getWeeklyOnTime();
+
+        statsContentEl.innerHTML = `
+            <div class="stats-summary">
+                ${createGauge(stats.onTimePercent)}
+                <dl class="stats-figures">
+                    ${figures.map(([key, value]) => `<div><dt>${escapeHtml(t(key))}</dt><dd>${escapeHtml(String(value))}</dd></div>`).join('')}
+                </dl>
+            </div>
+            <figure class="stats-chart">
+                ${createHourlyChart(stats.hourly, stats.busiestHour)}
+                <figcaption>${escapeHtml(t('stats.hourly'))}</figcaption>
+            </figure>
+            <div class="stats-lists">
+                ${createTopList('stats.topRoutes', (stats.topRoutes || []).map(route => [route.city ? `${route.city} (${route.code})` : route.code, route.flights]))}
+                ${createTopList('stats.topAirlines', (stats.topAirlines || []).map(airline => [airline.name, airline.flights]))}
+            </div>
+            ${week ? `<p class="stats-week">${escapeHtml(t('stats.week', week))}</p>` : ''}
+        `;
+        statsPanelEl.hidden = false;
+    }
+
+    // Semicircle gauge of the on-time percentage
+    function createGauge(percent) {
+        const label = percent === null ? t('stats.notOperated') : t('stats.gaugeLabel', { percent: percent });
+        const level = percent === null ? '' : percent >= 80 ? 'gauge-good' : percent >= 60 ? 'gauge-fair' : 'gauge-poor';
+        const arc = 'M 10 50 A 40 40 0 0 1 90 50';
+
+        return `
+            <svg class="stats-gauge ${level}" viewBox="0 0 100 60" role="img" aria-label="${escapeHtml(label)}">
+                <path class="gauge-track" d="${arc}" pathLength="100"/>
+                ${percent === null ? '' : `<path class="gauge-value" d="${arc}" pathLength="100" stroke-dasharray="${percent} 100"/>`}
+                <text class="gauge-percent" x="50" y="45">${percent === null ? '—' : `${percent}%`}</text>
+                <text class="gauge-label" x="50" y="58">${escapeHtml(t('stats.onTime'))}</text>
+            </svg>
+        `;
+    }
+
+    // Bar chart of flights per local hour, the busiest hour highlighted
+    function createHourlyChart(hourly, busiestHour) {
+        const max = Math.max(1, ...hourly);
+        const bars = hourly.map((count, hour) => {
+            const height = Math.round((count / max) * 50);
+            const peak = busiestHour && busiestHour.hour === hour ? 'bar-peak' : '';
+            return `
+                <rect class="${peak}" x="${hour * 10 + 1}" y="${55 - height}" width="8" height="${height}">
+                    <title>${escapeHtml(t('stats.hourBar', { hour: formatHour(hour), count: count }))}</title>
+                </rect>
+            `;
+        }).join('');
+        const labels = [0, 6, 12, 18].map(hour => `<text x="${hour * 10 + 5}" y="67">${formatHour(hour)}</text>`).join('');
+
+        return `
+            <svg class="hourly-chart" viewBox="0 0 240 70" role="img" aria-label="${escapeHtml(t('stats.hourly'))}">
+                <line x1="0" y1="55.5" x2="240" y2="55.5"/>
+                ${bars}
+                ${labels}
+            </svg>
+        `;
+    }
+
+    // Ranked list of [label, flights] entries under a heading
+    function createTopList(titleKey, entries) {
+        if (!entries.length) return '';
+        return `
+            <section>
+                <h3>${escapeHtml(t(titleKey))}</h3>
+                <ol>
+                    ${entries.map(([label, count]) => `<li><span>${escapeHtml(label)}</span> <span class="stats-count">${count}</span></li>`).join('')}
+                </ol>
+            </section>
+        `;
+    }
+
+    // On-time share across the archive's last days up to the one shown, weighted
+    // by operated flights; null with fewer than two days of figures
+    function getWeeklyOnTime() {
+        const shownDate = selectedDate || (archiveDays[0] && archiveDays[0].date);
+        const days = archiveDays
+            .filter(day => day.date <= shownDate && day.operated > 0 && day.onTimePercent != null)
+            .slice(0, STATS_WEEK_DAYS);
+        if (days.length < 2) return null;
+
+        const operated = days.reduce((sum, day) => sum + day.operated, 0);
+        const onTime = days.reduce((sum, day) => sum + day.onTimePercent * day.operated, 0);
+        return { days: days.length, percent: Math.round(onTime / operated) };
+    }
+
     // Render flight table
     function renderFlights() {
+        writeHashState();
+        updateFilterChips();
         if (!flightData) return;
 
+        renderStats();
+
         const flights = currentTab === 'arrivals' 
             ? flightData.arrivals 
             : flightData.departures;
 
+        // An unknown feed format may not have flight lists we can read at all
+        if (flights && !Array.isArray(flights)) {
+            showError(t('schema.mismatch'));
+            return;
+        }
+
         if (!flights || flights.length === 0) {
             showEmpty();
             return;
         }
 
+        const visibleFlights = applyFilters(flights);
+        if (visibleFlights.length === 0) {
+            showNoMatches();
+            return;
+        }
+
         // Sort by time
-        const sortedFlights = [...flights].sort((a, b) => {
+        const sortedFlights = [...visibleFlights].sort((a, b) => {
             const timeA = new Date(a.scheduled || a.estimated || 0).getTime();
             const timeB = new Date(b.scheduled || b.estimated || 0).getTime();
             return timeA - timeB;
         });
 
-        // Build table rows
-        const rows = sortedFlights.map(flight => createFlightRow(flight)).join('');
+        // Build table rows: watched flights pinned to the top, then the rest
+        // under a heading per day when they are not all on the board's day
+        const now = Date.now();
+        const base = getBaseDate(now);
+        const watched = sortedFlights.filter(isWatched);
+        const others = limitRows(sortedFlights.filter(flight => !isWatched(flight)), now);
+        const offsets = new Set(others.map(flight => getDayOffset(flight.scheduled, base)));
+        const showDays = offsets.size > 1 || !offsets.has(0);
+
+        let lastOffset = null;
+        const createRows = flight => {
+            const expanded = expandedFlights.has(`${currentTab}:${getFlightId(flight)}`);
+            return createFlightRow(flight, now, expanded, base) + (expanded ? createDetailsRow(flight, base) : '');
+        };
+        const rows = watched.map(createRows).concat(others.map(flight => {
+            const offset = getDayOffset(flight.scheduled, base);
+            const heading = showDays && offset !== lastOffset ? createDaySeparator(flight, offset) : '';
+            lastOffset = offset;
+            return heading + createRows(flight);
+        })).join('');
         flightTbody.innerHTML = rows;
     }
 
+    // Heading row before a day's flights: "Tomorrow · Sunday, March 15"
+    function createDaySeparator(flight, offset) {
+        const names = { '-1': 'day.yesterday', '0': 'day.today', '1': 'day.tomorrow' };
+        const date = formatDayHeading(flight.scheduled);
+        const label = names[offset] ? t('day.separator', { day: t(names[offset]), date: date }) : date;
+
+        return `
+            <tr class="day-separator">
+                <th colspan="5" scope="colgroup">${escapeHtml(label)}</th>
+            </tr>
+        `;
+    }
+
+    // With ?rows=N, the next N flights: from the first one still to come (not
+    // landed, departed or cancelled, and due no more than 30 minutes ago), or
+    // the day's last N when none is
+    function limitRows(flights, now) {
+        const max = embedOptions.rows;
+        if (!max || flights.length <= max) return flights;
+
+        const next = flights.findIndex(flight => {
+            const s = (flight.status || '').toLowerCase();
+            if (['land', 'depart', 'cancel', 'divert'].some(word => s.includes(word))) return false;
+            return new Date(flight.estimated || flight.scheduled).getTime() > now - 30 * 60 * 1000;
+        });
+        const start = next === -1 ? flights.length - max : Math.min(next, flights.length - max);
+        return flights.slice(start, start + max);
+    }
+
     // Create a single flight row
-    function createFlightRow(flight) {
-        const time = formatTime(flight.scheduled);
-        const flightNumber = flight.flightNumber || flight.flight_iata || '—';
+    function createFlightRow(flight, now, expanded, base) {
+        const time = formatTimeCell(flight, base);
+        const flightNumber = flight.flightNumber || '—';
         const airline = flight.airline || '—';
-        const city = currentTab === 'arrivals' 
-            ? (flight.origin || flight.departure_city || '—')
-            : (flight.destination || flight.arrival_city || '—');
-        const cityCode = currentTab === 'arrivals'
-            ? (flight.originCode || flight.departure_iata || '')
-            : (flight.destinationCode || flight.arrival_iata || '');
-        const status = flight.status || 'Scheduled';
+        const city = (currentTab === 'arrivals' ? flight.origin : flight.destination) || '—';
+        const cityCode = (currentTab === 'arrivals' ? flight.originCode : flight.destinationCode) || '';
+        const cityName = currentTab === 'arrivals' ? flight.originName : flight.destinationName;
+        const codeshares = flight.codeshares || [];
+        const status = getLiveStatus(flight, now);
         const statusClass = getStatusClass(status);
+        const watched = isWatched(flight);
+        const rowClass = [
+            isRecentlyChanged(flight) ? 'row-changed' : '',
+            watched ? 'row-watched' : '',
+            expanded ? 'row-expanded' : ''
+        ].join(' ').trim();
 
         return `
-            <tr>
-                <td><span class="flight-time">${time}</span></td>
-                <td><span class="flight-number">${escapeHtml(flightNumber)}</span></td>
-                <td><span class="airline-name">${escapeHtml(airline)}</span></td>
+            <tr class="${rowClass}" data-flight-number="${escapeHtml(flightNumber)}" data-flight-id="${escapeHtml(getFlightId(flight))}">
+                <td>${time}</td>
+                <td>
+                    <button type="button" class="watch-btn" data-flight-number="${escapeHtml(flightNumber)}" data-flight-id="${escapeHtml(getFlightId(flight))}" aria-pressed="${watched}" title="${escapeHtml(t(watched ? 'watch.remove' : 'watch.add'))}" aria-label="${escapeHtml(t(watched ? 'watch.remove' : 'watch.add'))}">
+                        <svg viewBox="0 0 16 16" width="14" height="14" aria-hidden="true"><path d="M8 1.2l2.1 4.3 4.7.7-3.4 3.3.8 4.7L8 12l-4.2 2.2.8-4.7-3.4-3.3 4.7-.7z"/></svg>
+                    </button>
+                    <button type="button" class="flight-number details-toggle" data-flight-number="${escapeHtml(flightNumber)}" data-flight-id="${escapeHtml(getFlightId(flight))}" aria-expanded="${expanded}" aria-controls="${getDetailsId(flight, base)}">${escapeHtml(flightNumber)}</button>
+                    ${codeshares.length ? `<span class="codeshares">${escapeHtml(t('flight.codeshares', { numbers: codeshares.join(', ') }))}</span>` : ''}
+                </td>
+                <td>
+                    ${flight.airlineLogo ? `<img class="airline-logo" src="${escapeHtml(flight.airlineLogo)}" alt="" width="20" height="20" loading="lazy" onerror="this.remove()">` : ''}
+                    <span class="airline-name">${escapeHtml(airline)}</span>
+                </td>
                 <td>
-                    <span class="city-name">${escapeHtml(city)}</span>
+                    <span class="city-name"${cityName ? ` title="${escapeHtml(cityName)}"` : ''}>${escapeHtml(city)}</span>
                     ${cityCode ? `<span class="city-code">(${escapeHtml(cityCode)})</span>` : ''}
                 </td>
-                <td><span class="status-badge ${statusClass}">${escapeHtml(formatStatus(status))}</span></td>
+                <td>
+                    <span class="status-badge ${statusClass}">${escapeHtml(formatStatus(status))}</span>
+                    ${flight.flightNumber && flight.scheduled ? `
+                        <button type="button" class="calendar-btn" data-flight-id="${escapeHtml(getFlightId(flight))}" title="${escapeHtml(t('calendar.add'))}" aria-label="${escapeHtml(t('calendar.add'))}">
+                            <svg viewBox="0 0 16 16" width="14" height="14" aria-hidden="true"><path fill="currentColor" d="M4 0h2v2h4V0h2v2h2a2 2 0 0 1 2 2v10a2 2 0 0 1-2 2H2a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h2zM2 6v8h12V6zm2 2h3v3H4z"/></svg>
+                        </button>` : ''}
+                    ${createRotationNote(flight)}
+                    ${createDiversionNote(flight)}
+                </td>
             </tr>
         `;
     }
 
+    // Whether a departure that has not left yet waits for a late inbound aircraft
+    function hasLateInbound(flight) {
+        return currentTab === 'departures' && Boolean(flight.predictedDelayMinutes && flight.rotation) && !flight.actual;
+    }
+
+    // "Inbound aircraft delayed" under a departure held up by its inbound aircraft
+    function createRotationNote(flight) {
+        if (!hasLateInbound(flight)) return '';
+
+        const title = t('rotation.predicted', { flight: flight.rotation.flightNumber, minutes: flight.predictedDelayMinutes });
+        return `<span class="rotation-note" title="${escapeHtml(title)}">${escapeHtml(t('rotation.inboundDelayed'))}</span>`;
+    }
+
+    // "Diverted to GDL" under a diverted flight, "Continues after diversion"
+    // under the flight that takes its passengers on from there
+    function createDiversionNote(flight) {
+        const text = describeDiversion(flight) || (flight.recoveryOf ? t('diversion.recoveryOf') : null);
+        if (!text) return '';
+
+        const title = flight.divertedTo ? formatPlace(flight.divertedTo) : '';
+        return `<span class="diversion-note"${title ? ` title="${escapeHtml(title)}"` : ''}>${escapeHtml(text)}</span>`;
+    }
+
+    // "Diverted to GDL", or "Diverted here" for a flight diverted to this
+    // airport; null when the flight was not diverted or the airport is unknown
+    function describeDiversion(flight) {
+        if (!flight.divertedTo || !flight.divertedTo.code) return null;
+
+        const code = (flightData && flightData.airport && flightData.airport.code) || airportCode;
+        return flight.divertedTo.code === code
+            ? t('diversion.here')
+            : t('diversion.to', { code: flight.divertedTo.code });
+    }
+
+    // "Guadalajara (GDL)"
+    function formatPlace(place) {
+        return place.code ? `${place.city || place.code} (${place.code})` : (place.city || '—');
+    }
+
+    // "WS2412 from Calgary (YYC)": the other flight of the aircraft's rotation
+    function describeRotation(rotation) {
+        if (!rotation) return null;
+
+        const city = formatPlace(rotation);
+        return t(currentTab === 'arrivals' ? 'details.rotationTo' : 'details.rotationFrom', {
+            flight: rotation.flightNumber,
+            city: city
+        });
+    }
+
+    // "AM640 at 15:30": the other flight of a diversion, at its expected time
+    function describeRecovery(reference) {
+        if (!reference) return null;
+        return t('details.recoveryFlight', {
+            flight: reference.flightNumber,
+            time: formatTime(reference.estimated || reference.scheduled)
+        });
+    }
+
+    // Detail drawer under a row: gate and aircraft facts, then the flight's timeline
+    function createDetailsRow(flight, base) {
+        const facts = [
+            ['details.terminal', flight.terminal],
+            ['details.gate', flight.gate],
+            ['details.baggage', flight.baggageClaim],
+            ['details.aircraft', flight.aircraftType],
+            ['details.registration', flight.registration],
+            [currentTab === 'arrivals' ? 'details.nextDeparture' : 'details.inbound', describeRotation(flight.rotation)],
+            ['details.predictedDelay', hasLateInbound(flight)
+                ? t('details.predictedMinutes', { minutes: flight.predictedDelayMinutes })
+                : null],
+            ['details.divertedTo', flight.divertedTo ? formatPlace(flight.divertedTo) : null],
+            ['details.recovery', describeRecovery(flight.recovery)],
+            ['details.recoveryOf', describeRecovery(flight.recoveryOf)],
+            ['details.distance', flight.distanceKm != null
+                ? t('details.distanceKm', { distance: flight.distanceKm.toLocaleString(getLocale()) })
+                : null]
+        ].filter(([, value]) => value);
+
+        const timeline = flight.timeline || {};
+        const events = TIMELINE_EVENTS.filter(event => timeline[event]
+            && (timeline[event].scheduled || timeline[event].estimated || timeline[event].actual));
+
+        let content = '';
+        if (facts.length) {
+            content += `
+                <dl class="details-facts">
+                    ${facts.map(([key, value]) => `<div><dt>${escapeHtml(t(key))}</dt><dd>${escapeHtml(value)}</dd></div>`).join('')}
+                </dl>
+            `;
+        }
+        if (events.length) {
+            const city = (flightData.airport && flightData.airport.city) || airportCityEl.textContent;
+            content += `
+                <table class="details-timeline">
+                    <caption>${escapeHtml(t('details.localTimes', { city: city }))}</caption>
+                    <thead>
+                        <tr>
+                            <td></td>
+                            <th scope="col">${escapeHtml(t('details.scheduled'))}</th>
+                            <th scope="col">${escapeHtml(t('details.estimated'))}</th>
+                            <th scope="col">${escapeHtml(t('details.actual'))}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${events.map(event => `
+                            <tr class="${timeline[event].actual ? 'timeline-done' : ''}">
+                                <th scope="row">${escapeHtml(t(`details.${event}`))}</th>
+                                <td>${formatTime(timeline[event].scheduled)}</td>
+                                <td>${formatTime(timeline[event].estimated)}</td>
+                                <td>${formatTime(timeline[event].actual)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+        }
+
+        return `
+            <tr class="details-row" id="${getDetailsId(flight, base)}">
+                <td colspan="5">${content || `<p class="details-none">${escapeHtml(t('details.none'))}</p>`}</td>
+            </tr>
+        `;
+    }
+
+    // Element id of a flight's detail drawer; flights on other days than the
+    // board's get their date appended, recovery flights "-recovery"
+    function getDetailsId(flight, base) {
+        const id = `details-${currentTab}-${String(flight.flightNumber).replace(/[^A-Za-z0-9]/g, '')}${flight.recoveryOf ? '-recovery' : ''}`;
+        return getDayOffset(flight.scheduled, base) === 0 ? id : `${id}-${formatIsoDate(flight.scheduled).replace(/-/g, '')}`;
+    }
+
+    // Download a one-flight .ics file, written in the current language
+    function downloadCalendarEvent(flight) {
+        const type = currentTab === 'arrivals' ? 'arrival' : 'departure';
+        const code = (flightData.airport && flightData.airport.code) || airportCode;
+        const event = ICS.createFlightEvent(flight, type, code, describeCalendarEvent(flight, type));
+        const blob = new Blob([ICS.buildCalendar([event])], { type: 'text/calendar;charset=utf-8' });
+
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${flight.flightNumber}-${formatIsoDate(flight.scheduled)}.ics`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    // Summary, location and description of a flight's calendar event
+    function describeCalendarEvent(flight, type) {
+        const airport = flightData.airport || {};
+        const isArrival = type === 'arrival';
+        const city = (isArrival ? flight.origin : flight.destination) || '—';
+        const cityCode = isArrival ? flight.originCode : flight.destinationCode;
+        const place = cityCode ? `${city} (${cityCode})` : city;
+
+        const location = [airport.name, airport.city ? `${airport.city} (${airport.code || airportCode})` : airport.code || airportCode];
+        if (flight.terminal) location.push(t('calendar.terminal', { terminal: flight.terminal }));
+        if (flight.gate) location.push(t('calendar.gate', { gate: flight.gate }));
+
+        const description = [t('calendar.airline', { airline: flight.airline || '—' })];
+        if (flight.codeshares && flight.codeshares.length) {
+            description.push(t('calendar.codeshares', { numbers: flight.codeshares.join(', ') }));
+        }
+        description.push(t('calendar.scheduled', { time: formatTime(flight.scheduled) }));
+        if (flight.actual) {
+            description.push(t(isArrival ? 'calendar.landed' : 'calendar.departed', { time: formatTime(flight.actual) }));
+        } else if (flight.estimated && formatTime(flight.estimated) !== formatTime(flight.scheduled)) {
+            description.push(t('calendar.expected', { time: formatTime(flight.estimated) }));
+        }
+        description.push(t('calendar.status', { status: formatStatus(flight.status) }));
+        const diversion = describeDiversion(flight) || (flight.recoveryOf ? t('diversion.recoveryOf') : null);
+        if (diversion) description.push(diversion);
+        description.push('', t('calendar.localTimes', { city: airport.city || airportCityEl.textContent }), t('footer.disclaimer'));
+
+        return {
+            summary: t(isArrival ? 'calendar.arrival' : 'calendar.departure', { flight: flight.flightNumber, place: place }),
+            location: location.filter(Boolean).join(', '),
+            description: description.join('\n')
+        };
+    }
+
+    // Time cell: estimated/actual time next to a struck-through scheduled time
+    // when they differ, each with a "+1" badge when on another day than the board's
+    function formatTimeCell(flight, base) {
+        const scheduled = formatTime(flight.scheduled);
+        const expected = flight.actual || flight.estimated;
+        const isCancelled = (flight.status || '').toLowerCase().includes('cancel');
+
+        if (!expected || isCancelled || formatTime(expected) === scheduled) {
+            return `<span class="flight-time">${scheduled}${createDayBadge(flight.scheduled, base)}</span>`;
+        }
+
+        const changeClass = flight.delayMinutes > 0 ? 'time-late' : 'time-early';
+        return `
+            <s class="flight-time time-original">${scheduled}${createDayBadge(flight.scheduled, base)}</s>
+            <span class="flight-time time-revised ${changeClass}">${formatTime(expected)}${createDayBadge(expected, base)}</span>
+        `;
+    }
+
+    // "+1" (or "-1") after a time on another local day than the board's
+    function createDayBadge(time, base) {
+        const offset = getDayOffset(time, base);
+        if (!offset || isNaN(offset)) return '';
+
+        return `<span class="day-badge" title="${escapeHtml(formatDayHeading(time))}">${offset > 0 ? '+' : '−'}${Math.abs(offset)}</span>`;
+    }
+
     // Get CSS class for status
     function getStatusClass(status) {
         if (!status) return 'status-scheduled';
@@ -130,20 +1597,26 @@
         
         if (s.includes('cancel')) return 'status-cancelled';
         if (s.includes('delay')) return 'status-delayed';
+        if (s.includes('boarding')) return 'status-boarding';
+        if (s.includes('landing') || s.includes('departing')) return 'status-active';
         if (s.includes('land')) return 'status-landed';
         if (s.includes('depart')) return 'status-departed';
         if (s.includes('active') || s.includes('en route') || s.includes('en-route')) return 'status-active';
-        if (s.includes('on time') || s.includes('on-time')) return 'status-ontime';
+        if (s.includes('on time') || s.includes('on-time') || s.includes('early')) return 'status-ontime';
         if (s.includes('scheduled')) return 'status-scheduled';
         
         return 'status-scheduled';
     }
 
-    // Format status text for display
+    // Format status text for display in the current language
     function formatStatus(status) {
-        if (!status) return 'Scheduled';
+        if (!status) return t('status.scheduled');
+
+        const key = `status.${status.toLowerCase().replace('canceled', 'cancelled').replace('en-route', 'en route')}`;
+        const translated = t(key);
+        if (translated !== key) return translated;
         
-        // Capitalize first letter of each word
+        // Unknown status: capitalize first letter of each word
         return status.replace(/\b\w/g, l => l.toUpperCase());
     }
 
@@ -161,38 +1634,95 @@
             const date = new Date(timeStr);
             if (isNaN(date.getTime())) return timeStr;
             
-            return date.toLocaleTimeString('en-US', {
+            return date.toLocaleTimeString(getLocale(), {
                 hour: '2-digit',
                 minute: '2-digit',
-                hour12: false,
-                timeZone: 'America/Mexico_City'
+                // h23, not hour12: false, which gives "24:25" after midnight in some locales
+                hourCycle: 'h23',
+                timeZone: getTimeZone()
             });
         } catch {
             return timeStr;
         }
     }
 
+    // Parse an archive date (YYYY-MM-DD) as midday UTC so it stays on the same calendar day
+    function parseArchiveDate(dateStr) {
+        return new Date(`${dateStr}T12:00:00Z`);
+    }
+
+    // Short date for the date selector
+    function formatShortDate(date) {
+        return date.toLocaleDateString(getLocale(), {
+            weekday: 'short',
+            month: 'short',
+            day: 'numeric',
+            timeZone: getTimeZone()
+        });
+    }
+
+    // Hour of the day (0-23) at the airport for a timestamp
+    function getLocalHour(time) {
+        return parseInt(new Date(time).toLocaleString('en-US', {
+            hour: 'numeric',
+            hourCycle: 'h23',
+            timeZone: getTimeZone()
+        }), 10);
+    }
+
+    // The airport's own IANA timezone, from the data file's airport block
+    function getTimeZone() {
+        return (flightData && flightData.airport && flightData.airport.timezone) || DEFAULT_TIMEZONE;
+    }
+
+    // An hour of the day as 24-hour HH:00
+    function formatHour(hour) {
+        return `${String(hour).padStart(2, '0')}:00`;
+    }
+
+    // Calendar date (YYYY-MM-DD) of a timestamp at the airport
+    function formatIsoDate(time) {
+        return new Date(time).toLocaleDateString('en-CA', { timeZone: getTimeZone() });
+    }
+
+    // Weekday and date of a timestamp at the airport, for day headings
+    function formatDayHeading(time) {
+        return new Date(time).toLocaleDateString(getLocale(), {
+            weekday: 'long',
+            month: 'long',
+            day: 'numeric',
+            timeZone: getTimeZone()
+        });
+    }
+
+    // Add days to a YYYY-MM-DD date
+    function addDays(dateStr, days) {
+        const [year, month, day] = dateStr.split('-').map(Number);
+        return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+    }
+
     // Format date for display
     function formatDate(date) {
-        return date.toLocaleDateString('en-US', {
+        return date.toLocaleDateString(getLocale(), {
             weekday: 'long',
             month: 'long',
             day: 'numeric',
             year: 'numeric',
-            timeZone: 'America/Mexico_City'
+            timeZone: getTimeZone()
         });
     }
 
     // Format date and time for last updated
     function formatDateTime(date) {
-        return date.toLocaleString('en-US', {
+        const time = date.toLocaleString(getLocale(), {
             month: 'short',
             day: 'numeric',
             hour: '2-digit',
             minute: '2-digit',
-            hour12: true,
-            timeZone: 'America/Mexico_City'
-        }) + ' (Mexico)';
+            timeZone: getTimeZone()
+        });
+        const city = (flightData && flightData.airport && flightData.airport.city) || airportCityEl.textContent;
+        return t('time.withZone', { time: time, city: city });
     }
 
     // Show empty state
@@ -201,7 +1731,19 @@
             <tr class="empty-row">
                 <td colspan="5">
                     <div class="empty-icon">✈️</div>
-                    <div>No ${currentTab} scheduled for today</div>
+                    <div>${escapeHtml(t(`empty.${currentTab}.${selectedDate ? 'day' : 'today'}`))}</div>
+                </td>
+            </tr>
+        `;
+    }
+
+    // Show "no matches" state when filters hide every flight
+    function showNoMatches() {
+        flightTbody.innerHTML = `
+            <tr class="empty-row">
+                <td colspan="5">
+                    <div class="empty-icon">🔍</div>
+                    <div>${escapeHtml(t('empty.noMatches'))}</div>
                 </td>
             </tr>
         `;
@@ -219,11 +1761,12 @@
         `;
     }
 
-    // Escape HTML to prevent XSS
+    // Escape text for HTML content and quoted attribute values, to prevent XSS
     function escapeHtml(str) {
         if (!str) return '';
         const div = document.createElement('div');
         div.textContent = str;
-        return div.innerHTML;
+        // innerHTML leaves quotes alone, and a quote would end an attribute value
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
     }
 })();
@@ -0,0 +1,76 @@
+/**
+ * FlightAware AeroAPI (v4) client
+ *
+ * Fetches /airports/{id}/flights for a time window, following the
+ * `links.next` cursor until the window is covered or the page budget is
+ * spent. Network errors, rate limits (429) and server errors (5xx) are
+ * retried with backoff (see ./retry).
+ */
+
+const { fetchWithRetry } = require('./retry');
+
+const DEFAULTS = {
+    baseUrl: 'https://aeroapi.flightaware.com/aeroapi',
+    maxPages: 10,
+    maxRetries: 3,
+    retryDelayMs: 1000
+};
+
+// The four flight lists returned by /airports/{id}/flights
+const FLIGHT_LISTS = ['arrivals', 'departures', 'scheduled_arrivals', 'scheduled_departures'];
+
+// Fetch every page of an airport's flights between start and end (Date or ISO string)
+async function fetchAirportFlights(icao, { apiKey, start, end, ...options } = {}) {
+    const settings = { ...DEFAULTS, ...options };
+
+    const params = new URLSearchParams({ max_pages: '1' });
+    if (start) params.set('start', toApiTime(start));
+    if (end) params.set('end', toApiTime(end));
+
+    const result = { pages: 0, complete: false };
+    FLIGHT_LISTS.forEach(list => { result[list] = []; });
+
+    let nextPath = `/airports/${encodeURIComponent(icao)}/flights?${params}`;
+
+    while (nextPath && result.pages < settings.maxPages) {
+        const page = await requestWithRetry(settings.baseUrl + nextPath, apiKey, settings);
+
+        FLIGHT_LISTS.forEach(list => {
+            result[list].push(...(page[list] || []));
+        });
+        result.pages += page.num_pages || 1;
+
+        nextPath = page.links && page.links.next ? page.links.next : null;
+    }
+
+    // Complete only if the API ran out of pages before we ran out of budget
+    result.complete = !nextPath;
+    return result;
+}
+
+// GET a URL (see ./retry) and parse the page, or throw the API's error
+async function requestWithRetry(url, apiKey, settings) {
+    const response = await fetchWithRetry(url, {
+        headers: {
+            'x-apikey': apiKey,
+            'Accept': 'application/json'
+        }
+    }, { label: 'AeroAPI', maxRetries: settings.maxRetries, retryDelayMs: settings.retryDelayMs });
+
+    if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`API request failed: ${response.status} ${response.statusText}\n${errorText}`);
+    }
+
+    return response.json();
+}
+
+// AeroAPI expects ISO 8601 without milliseconds
+function toApiTime(time) {
+    return new Date(time).toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+module.exports = {
+    DEFAULTS,
+    fetchAirportFlights
+};
@@ -0,0 +1,74 @@
+/**
+ * Airport registry
+ *
+ * Static metadata for every airport the tracker can build a board for,
+ * keyed by IATA code. The fetcher copies the matching entry into the
+ * `airport` block of each data/<iata>.json file, and the board reads its
+ * header from there.
+ *
+ * To add an airport, add an entry here and pass its IATA code to the
+ * fetcher (see README).
+ */
+
+const AIRPORTS = {
+    PVR: {
+        code: 'PVR',
+        icao: 'MMPR',
+        name: 'Gustavo Díaz Ordaz International Airport',
+        city: 'Puerto Vallarta',
+        // Bahía de Banderas zone: UTC-6 all year since Mexico dropped DST in 2022
+        timezone: 'America/Bahia_Banderas'
+    },
+    GDL: {
+        code: 'GDL',
+        icao: 'MMGL',
+        name: 'Miguel Hidalgo y Costilla International Airport',
+        city: 'Guadalajara',
+        timezone: 'America/Mexico_City'
+    },
+    ZLO: {
+        code: 'ZLO',
+        icao: 'MMZO',
+        name: 'Playa de Oro International Airport',
+        city: 'Manzanillo',
+        timezone: 'America/Mexico_City'
+    },
+    // Tepic's IATA code is TPQ (TEP belongs to Teptep, Papua New Guinea)
+    TPQ: {
+        code: 'TPQ',
+        icao: 'MMEP',
+        name: 'Amado Nervo International Airport',
+        city: 'Tepic',
+        timezone: 'America/Mazatlan'
+    }
+};
+
+// Airport used when none is specified (also published as data/flights.json)
+const DEFAULT_AIRPORT = 'PVR';
+
+// Look up an airport by IATA code (case-insensitive)
+function getAirport(code) {
+    if (!code) return null;
+    return AIRPORTS[String(code).trim().toUpperCase()] || null;
+}
+
+// Resolve a list of IATA codes, throwing on any code not in the registry
+function resolveAirports(codes) {
+    const list = (codes && codes.length) ? codes : [DEFAULT_AIRPORT];
+
+    return list.map(code => {
+        const airport = getAirport(code);
+        if (!airport) {
+            const known = Object.keys(AIRPORTS).join(', ');
+            throw new Error(`Unknown airport "${code}". Known airports: ${known}`);
+        }
+        return airport;
+    });
+}
+
+module.exports = {
+    AIRPORTS,
+    DEFAULT_AIRPORT,
+    getAirport,
+    resolveAirports
+};
@@ -0,0 +1,137 @@
+/**
+ * Daily snapshot archive
+ *
+ * Keeps a copy of each airport's board per local day so past days can be
+ * browsed after data/<iata>.json has been overwritten:
+ *
+ *   data/archive/<iata>/YYYY-MM-DD.json   the day's flights, by scheduled
+ *                                         local date
+ *   data/archive/<iata>/index.json        manifest of available days, with
+ *                                         each day's flight counts and on-time
+ *                                         figures for week-over-week summaries
+ *
+ * A run writes every day its window touches (today and tomorrow, or the two
+ * days a rolling window spans). Inside the window the new data replaces the
+ * day's earlier snapshot; flights the window no longer covers, such as the
+ * morning before a rolling window's start, are kept from it. Tomorrow's
+ * snapshot is written so that its early hours are not lost, but the
+ * manifest only lists days up to the run's own, so it is not offered as a
+ * past day or counted against retention until it has started.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { computeStats } = require('./stats');
+const { getLocalDate, getWindowDates } = require('./time');
+
+// Write the snapshot of each day the data covers and refresh the manifest
+// with those that have started, pruning days past retention. Returns the
+// dates written.
+function writeArchive(dataDir, airport, data, retentionDays) {
+    const dir = path.join(dataDir, 'archive', airport.code.toLowerCase());
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+
+    const manifestPath = path.join(dir, 'index.json');
+    const manifest = readManifest(manifestPath);
+    const dates = getSnapshotDates(data, airport.timezone);
+    const today = getLocalDate(data.lastUpdated, airport.timezone);
+    let entries = manifest.days.filter(day => day.date <= today);
+
+    dates.forEach(date => {
+        const file = path.join(dir, `${date}.json`);
+        const snapshot = buildSnapshot(date, data, readSnapshot(file, data.schemaVersion), airport.timezone);
+        fs.writeFileSync(file, JSON.stringify(snapshot, null, 2));
+        if (date > today) return;
+
+        const overall = snapshot.stats && snapshot.stats.overall;
+        entries = entries.filter(day => day.date !== date);
+        entries.push({
+            date: date,
+            lastUpdated: snapshot.lastUpdated,
+            arrivals: snapshot.arrivals.length,
+            departures: snapshot.departures.length,
+            ...(overall ? { operated: overall.operated, onTimePercent: overall.onTimePercent } : {})
+        });
+    });
+
+    // Newest first; drop (and delete) anything beyond the retention window
+    entries.sort((a, b) => b.date.localeCompare(a.date));
+    const kept = retentionDays > 0 ? entries.slice(0, retentionDays) : entries;
+    for (const day of entries.slice(kept.length)) {
+        const file = path.join(dir, `${day.date}.json`);
+        if (fs.existsSync(file)) fs.unlinkSync(file);
+    }
+
+    fs.writeFileSync(manifestPath, JSON.stringify({
+        airport: airport.code,
+        days: kept
+    }, null, 2));
+
+    return dates;
+}
+
+// Local days a run covers: those of its window, or the day it ran
+function getSnapshotDates(data, timezone) {
+    const window = data.meta && data.meta.window;
+    if (!window) return [getLocalDate(data.lastUpdated, timezone)];
+
+    return getWindowDates({ start: new Date(window.start), end: new Date(window.end) }, timezone);
+}
+
+// One day's snapshot: the data's flights scheduled that day, plus those of
+// the day's previous snapshot that lie outside the window just fetched and
+// are not in it; the stats are the day's own
+function buildSnapshot(date, data, previous, timezone) {
+    const window = data.meta && data.meta.window;
+    const fetched = time => !window || (time >= Date.parse(window.start) && time < Date.parse(window.end));
+
+    const merge = (flights, earlier) => {
+        const fresh = flights.filter(flight => getLocalDate(flight.scheduled, timezone) === date);
+        const known = new Set(fresh.map(getSnapshotKey));
+        const kept = (earlier || []).filter(flight => !fetched(Date.parse(flight.scheduled)) && !known.has(getSnapshotKey(flight)));
+
+        return [...kept, ...fresh].sort((a, b) => Date.parse(a.scheduled) - Date.parse(b.scheduled));
+    };
+
+    const arrivals = merge(data.arrivals, previous && previous.arrivals);
+    const departures = merge(data.departures, previous && previous.departures);
+
+    return {
+        ...data,
+        ...(data.stats ? { stats: computeStats(arrivals, departures, timezone) } : {}),
+        arrivals: arrivals,
+        departures: departures
+    };
+}
+
+// Identity of a flight within a day's snapshot
+function getSnapshotKey(flight) {
+    return flight.faFlightId || `${flight.flightNumber}@${flight.scheduled}${flight.status === 'Diverted' ? ':diverted' : ''}`;
+}
+
+// A day's existing snapshot, if it is in the same schema version
+function readSnapshot(file, schemaVersion) {
+    try {
+        const snapshot = JSON.parse(fs.readFileSync(file, 'utf8'));
+        return snapshot.schemaVersion === schemaVersion ? snapshot : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+// Read an existing manifest, starting fresh if it is missing or unreadable
+function readManifest(manifestPath) {
+    try {
+        const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+        if (Array.isArray(manifest.days)) return manifest;
+    } catch (e) {
+        // Missing or corrupt: rebuilt below
+    }
+    return { days: [] };
+}
+
+module.exports = {
+    writeArchive
+};
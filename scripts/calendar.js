@@ -0,0 +1,98 @@
+/**
+ * Calendar feeds
+ *
+ * Writes each airport's flights as subscribable iCalendar feeds next to its
+ * JSON, one event per flight for the current day:
+ *
+ *   data/<iata>-arrivals.ics, data/<iata>-departures.ics
+ *   data/arrivals.ics, data/departures.ics    default airport, next to flights.json
+ *
+ * Event UIDs are stable per flight and day, so calendar apps update events
+ * in place when the feed refreshes. The event format itself lives in ics.js,
+ * which the board also uses for per-flight downloads.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_AIRPORT } = require('./airports');
+const { createFlightEvent, buildCalendar } = require('../ics');
+
+// How often subscribers should re-fetch a feed
+const REFRESH_HOURS = 3;
+
+// Write the arrivals and departures feeds for one airport
+function writeCalendarFeeds(dataDir, airport, data) {
+    const written = [];
+
+    for (const type of ['arrivals', 'departures']) {
+        const events = data[type].map(flight => createFlightEvent(
+            flight,
+            type === 'arrivals' ? 'arrival' : 'departure',
+            airport.code,
+            describeFlight(flight, type, airport, data.lastUpdated)
+        ));
+
+        const ics = buildCalendar(events, {
+            name: `${airport.code} ${type === 'arrivals' ? 'Arrivals' : 'Departures'} (${airport.city})`,
+            refreshHours: REFRESH_HOURS,
+            stamp: new Date(data.lastUpdated)
+        });
+
+        const names = [`${airport.code.toLowerCase()}-${type}.ics`];
+        if (airport.code === DEFAULT_AIRPORT) names.push(`${type}.ics`);
+
+        names.forEach(name => {
+            fs.writeFileSync(path.join(dataDir, name), ics);
+            written.push(name);
+        });
+    }
+
+    return written;
+}
+
+// English summary, location and description for a flight's event
+function describeFlight(flight, type, airport, lastUpdated) {
+    const isArrival = type === 'arrivals';
+    const city = isArrival ? flight.origin : flight.destination;
+    const code = isArrival ? flight.originCode : flight.destinationCode;
+    const place = code ? `${city} (${code})` : city;
+
+    const location = [`${airport.name}, ${airport.city} (${airport.code})`];
+    if (flight.terminal) location.push(`Terminal ${flight.terminal}`);
+    if (flight.gate) location.push(`Gate ${flight.gate}`);
+
+    const time = value => formatLocalTime(value, airport.timezone);
+    const description = [`Airline: ${flight.airline}`];
+    if (flight.codeshares && flight.codeshares.length) {
+        description.push(`Also sold as: ${flight.codeshares.join(', ')}`);
+    }
+    description.push(`Scheduled: ${time(flight.scheduled)}`);
+    if (flight.actual) {
+        description.push(`${isArrival ? 'Landed' : 'Departed'}: ${time(flight.actual)}`);
+    } else if (flight.estimated && time(flight.estimated) !== time(flight.scheduled)) {
+        description.push(`Expected: ${time(flight.estimated)}`);
+    }
+    description.push(`Status: ${flight.status}${flight.divertedTo && flight.divertedTo.code ? ` to ${flight.divertedTo.code}` : ''}`);
+    if (flight.recoveryOf) description.push(`Continues diverted flight ${flight.recoveryOf.flightNumber}`);
+    description.push('');
+    description.push(`Times are ${airport.city} local time. Updated ${time(lastUpdated)}; check with the airline before travelling.`);
+
+    return {
+        summary: `${isArrival ? 'Arrival' : 'Departure'} ${flight.flightNumber} ${isArrival ? 'from' : 'to'} ${place}`,
+        location: location.join(', '),
+        description: description.join('\n')
+    };
+}
+
+// 24-hour HH:MM in the airport's timezone
+function formatLocalTime(value, timezone) {
+    return new Date(value).toLocaleTimeString('en-GB', {
+        timeZone: timezone,
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+}
+
+module.exports = {
+    writeCalendarFeeds
+};
@@ -0,0 +1,68 @@
+/**
+ * Diversions
+ *
+ * A diverted flight keeps its row, with `divertedTo` naming the airport it
+ * went to instead. When an arrival diverted away from this airport is flown
+ * on here afterwards, the airline's recovery flight is a separate record
+ * under the same flight number, leaving from the diversion airport. The two
+ * are linked both ways:
+ *
+ *   recovery     on the diverted arrival: the flight continuing it
+ *   recoveryOf   on the recovery flight: the diverted arrival
+ *
+ * each as { flightNumber, faFlightId, scheduled, estimated }.
+ */
+
+// Link processed arrivals of one airport to the recovery flights of those
+// that were diverted away. Returns a new array.
+function linkDiversions(arrivals) {
+    const linked = arrivals.map(flight => ({ ...flight, recovery: null, recoveryOf: null }));
+    const used = new Set();
+
+    linked
+        .filter(flight => flight.status === 'Diverted' && flight.divertedTo && flight.divertedTo.code)
+        .forEach(diverted => {
+            const recovery = findRecovery(diverted, linked, used);
+            if (!recovery) return;
+
+            used.add(recovery);
+            diverted.recovery = describe(recovery);
+            recovery.recoveryOf = describe(diverted);
+        });
+
+    return linked;
+}
+
+// Earliest unused flight with the same number from the diversion airport,
+// scheduled no earlier than the diverted one
+function findRecovery(diverted, arrivals, used) {
+    const time = getTime(diverted.scheduled);
+
+    return arrivals
+        .filter(flight => flight !== diverted
+            && !used.has(flight)
+            && flight.status !== 'Diverted'
+            && flight.flightNumber === diverted.flightNumber
+            && flight.originCode === diverted.divertedTo.code
+            && getTime(flight.scheduled) >= time)
+        .sort((a, b) => getTime(a.scheduled) - getTime(b.scheduled))[0] || null;
+}
+
+// Reference to the other flight of a diversion
+function describe(flight) {
+    return {
+        flightNumber: flight.flightNumber,
+        faFlightId: flight.faFlightId || null,
+        scheduled: flight.scheduled,
+        estimated: flight.estimated || null
+    };
+}
+
+// Milliseconds of an ISO timestamp (NaN if missing)
+function getTime(value) {
+    return value ? new Date(value).getTime() : NaN;
+}
+
+module.exports = {
+    linkDiversions
+};
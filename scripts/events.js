@@ -0,0 +1,267 @@
+/**
+ * Change log and event feeds
+ *
+ * Each run compares the new flights with the previously published file and
+ * records what changed, so there is a history even though data/<iata>.json
+ * is replaced wholesale:
+ *
+ *   cancelled    a flight was cancelled
+ *   diverted     a flight was diverted
+ *   delayed      a flight became late, or its delay grew by DELAY_STEP_MINUTES
+ *   gateChange   a flight's gate or terminal changed
+ *
+ * Events from every airport go into one log, newest first:
+ *
+ *   data/events.json                  { updated, events: [...] }
+ *   data/<iata>-events.atom           all of an airport's events
+ *   data/<iata>-alerts.atom           cancellations and diversions only
+ *
+ * Flights are matched by number and scheduled local date, so the same number
+ * on two days of a window is never mixed up. A flight that first appears
+ * already cancelled or diverted is recorded with a null previous status.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getLocalDate } = require('./time');
+
+// Minimum growth of a delay, in minutes, that is worth another event
+const DELAY_STEP_MINUTES = 15;
+
+// Entries kept in each Atom feed
+const FEED_ENTRIES = 50;
+
+// Event types in the alerts feed
+const ALERT_TYPES = ['cancelled', 'diverted'];
+
+// Events between the previous and the new data of one airport
+function diffFlights(previous, next, airport) {
+    if (!previous) return [];
+
+    const events = [];
+    for (const type of ['arrivals', 'departures']) {
+        const before = new Map((previous[type] || []).map(flight => [getFlightKey(flight, airport.timezone), flight]));
+
+        (next[type] || []).forEach(flight => {
+            const old = before.get(getFlightKey(flight, airport.timezone));
+            const changes = old ? describeChanges(old, flight) : describeNewFlight(flight);
+
+            changes.forEach(change => {
+                events.push(createEvent(change, flight, type === 'arrivals' ? 'arrival' : 'departure', airport, next.lastUpdated));
+            });
+        });
+    }
+    return events;
+}
+
+// "AM640@2026-03-14": a flight number on its scheduled local day, with
+// "+recovery" for the flight continuing a diverted one under its number
+function getFlightKey(flight, timezone) {
+    return `${flight.flightNumber}@${getLocalDate(flight.scheduled, timezone)}${flight.recoveryOf ? '+recovery' : ''}`;
+}
+
+// What changed on one flight, as { type, previous, current } changes
+function describeChanges(old, flight) {
+    const changes = [];
+
+    if (flight.status === 'Cancelled' && old.status !== 'Cancelled') {
+        changes.push({ type: 'cancelled', previous: old.status, current: flight.status });
+        return changes;
+    }
+    if (flight.status === 'Diverted' && old.status !== 'Diverted') {
+        changes.push({ type: 'diverted', previous: old.status, current: flight.status, divertedTo: flight.divertedTo && flight.divertedTo.code });
+        return changes;
+    }
+
+    // Only delays still to come: a landed flight's final figure is not news
+    const oldDelay = old.punctuality === 'Delayed' ? old.delayMinutes : 0;
+    if (!flight.actual && flight.punctuality === 'Delayed'
+        && (old.punctuality !== 'Delayed' || flight.delayMinutes - oldDelay >= DELAY_STEP_MINUTES)) {
+        changes.push({ type: 'delayed', previous: old.punctuality === 'Delayed' ? oldDelay : null, current: flight.delayMinutes });
+    }
+
+    const oldPlace = formatGate(old);
+    const place = formatGate(flight);
+    if (oldPlace && place && oldPlace !== place) {
+        changes.push({ type: 'gateChange', previous: oldPlace, current: place });
+    }
+
+    return changes;
+}
+
+// Changes on a flight the previous data did not have. Only a cancellation or
+// diversion is news: one made before the day's first run would otherwise
+// never be recorded
+function describeNewFlight(flight) {
+    return describeChanges({ status: null }, flight).filter(change => ALERT_TYPES.includes(change.type));
+}
+
+// "T2 B4", "B4" or null: where a flight boards or arrives
+function formatGate(flight) {
+    if (!flight.gate) return null;
+    return flight.terminal ? `T${flight.terminal} ${flight.gate}` : flight.gate;
+}
+
+// Event record with an English title for feeds
+function createEvent(change, flight, direction, airport, detected) {
+    const isArrival = direction === 'arrival';
+    const city = isArrival ? flight.origin : flight.destination;
+    const code = isArrival ? flight.originCode : flight.destinationCode;
+    const place = code ? `${city} (${code})` : city;
+    const scheduledDate = getLocalDate(flight.scheduled, airport.timezone);
+
+    return {
+        id: [airport.code, direction, flight.flightNumber, scheduledDate, change.type, detected].join('-').toLowerCase().replace(/[^a-z0-9-]/g, ''),
+        type: change.type,
+        detected: detected,
+        airport: airport.code,
+        direction: direction,
+        flightNumber: flight.flightNumber,
+        airline: flight.airline,
+        city: city || null,
+        code: code || null,
+        scheduled: flight.scheduled,
+        previous: change.previous,
+        current: change.current,
+        title: describeEvent(change, `${isArrival ? 'Arrival' : 'Departure'} ${flight.flightNumber} ${isArrival ? 'from' : 'to'} ${place}`)
+    };
+}
+
+// "Arrival AM640 from Mexico City (MEX) cancelled"
+function describeEvent(change, subject) {
+    switch (change.type) {
+        case 'cancelled':
+            return `${subject} cancelled`;
+        case 'diverted':
+            return change.divertedTo ? `${subject} diverted to ${change.divertedTo}` : `${subject} diverted`;
+        case 'delayed':
+            return change.previous === null
+                ? `${subject} delayed ${change.current} min`
+                : `${subject} now ${change.current} min late (was ${change.previous})`;
+        default:
+            return `${subject}: gate changed to ${change.current} (was ${change.previous})`;
+    }
+}
+
+// Add new events to data/events.json, dropping those older than the retention
+function appendEvents(dataDir, events, retentionDays, now = new Date()) {
+    const file = path.join(dataDir, 'events.json');
+    const log = readEvents(file);
+    const known = new Set(log.events.map(event => event.id));
+    const cutoff = now.getTime() - retentionDays * 24 * 60 * 60 * 1000;
+
+    const added = events.filter(event => !known.has(event.id));
+    const kept = [...added, ...log.events]
+        .filter(event => Date.parse(event.detected) >= cutoff)
+        .sort((a, b) => b.detected.localeCompare(a.detected));
+
+    // Nothing added or expired: leave the file, date included, as it was, so
+    // a quiet run has nothing to commit
+    if (log.updated && added.length === 0 && kept.length === log.events.length) return log;
+
+    const updated = { updated: now.toISOString(), events: kept };
+    fs.writeFileSync(file, JSON.stringify(updated, null, 2));
+    return updated;
+}
+
+// Read the event log, starting fresh if it is missing or unreadable
+function readEvents(file) {
+    try {
+        const log = JSON.parse(fs.readFileSync(file, 'utf8'));
+        if (Array.isArray(log.events)) return log;
+    } catch (e) {
+        // Missing or corrupt: start a new log
+    }
+    return { updated: null, events: [] };
+}
+
+// Write an airport's Atom feeds from the log; returns the file names
+function writeEventFeeds(dataDir, airport, log, siteUrl) {
+    const events = log.events.filter(event => event.airport === airport.code);
+    const base = airport.code.toLowerCase();
+    const feeds = [
+        { name: `${base}-events.atom`, title: `${airport.code} flight changes (${airport.city})`, events: events },
+        { name: `${base}-alerts.atom`, title: `${airport.code} cancellations and diversions (${airport.city})`, events: events.filter(event => ALERT_TYPES.includes(event.type)) }
+    ];
+
+    feeds.forEach(feed => {
+        const file = path.join(dataDir, feed.name);
+        const entries = feed.events.slice(0, FEED_ENTRIES);
+        fs.writeFileSync(file, buildAtomFeed(entries, {
+            id: `urn:flight-tracker:${feed.name.replace('.atom', '')}`,
+            title: feed.title,
+            // Changes only with the feed's own entries, not with other airports' events
+            updated: entries.length ? entries[0].detected : readFeedUpdated(file) || log.updated,
+            link: siteUrl ? `${siteUrl.replace(/\/?$/, '/')}?airport=${base}` : null,
+            timezone: airport.timezone,
+            city: airport.city
+        }));
+    });
+
+    return feeds.map(feed => feed.name);
+}
+
+// <updated> of an existing feed file, or null
+function readFeedUpdated(file) {
+    try {
+        const match = /<updated>([^<]+)<\/updated>/.exec(fs.readFileSync(file, 'utf8'));
+        return match ? match[1] : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+// Atom 1.0 document for a list of events
+function buildAtomFeed(events, { id, title, updated, link, timezone, city }) {
+    const lines = [
+        '<?xml version="1.0" encoding="utf-8"?>',
+        '<feed xmlns="http://www.w3.org/2005/Atom">',
+        `  <id>${escapeXml(id)}</id>`,
+        `  <title>${escapeXml(title)}</title>`,
+        `  <updated>${escapeXml(updated)}</updated>`,
+        '  <author><name>Puerto Vallarta Flight Tracker</name></author>'
+    ];
+    if (link) lines.push(`  <link rel="alternate" href="${escapeXml(link)}"/>`);
+
+    events.forEach(event => {
+        const scheduled = new Date(event.scheduled).toLocaleString('en-GB', {
+            timeZone: timezone,
+            weekday: 'short',
+            day: 'numeric',
+            month: 'short',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+
+        lines.push(
+            '  <entry>',
+            `    <id>urn:flight-tracker:event:${escapeXml(event.id)}</id>`,
+            `    <title>${escapeXml(event.title)}</title>`,
+            `    <updated>${escapeXml(event.detected)}</updated>`,
+            `    <category term="${escapeXml(event.type)}"/>`,
+            `    <summary>${escapeXml(`${event.airline} ${event.flightNumber}, scheduled ${scheduled} (${city} time)`)}</summary>`
+        );
+        if (link) lines.push(`    <link rel="alternate" href="${escapeXml(`${link}#tab=${event.direction}s&q=${encodeURIComponent(event.flightNumber)}`)}"/>`);
+        lines.push('  </entry>');
+    });
+
+    lines.push('</feed>');
+    return lines.join('\n') + '\n';
+}
+
+// Escape text for XML content and attributes
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+module.exports = {
+    ALERT_TYPES,
+    diffFlights,
+    appendEvents,
+    writeEventFeeds,
+    buildAtomFeed
+};
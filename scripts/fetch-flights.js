@@ -1,166 +1,312 @@
 /**
- * Puerto Vallarta Flight Tracker - FlightAware AeroAPI (v4) Fetcher
+ * Puerto Vallarta Flight Tracker - Flight Data Fetcher
  * 
- * Fetches daily flight arrivals and departures from FlightAware AeroAPI
- * and saves to data/flights.json
+ * Fetches daily flight arrivals and departures for one or more airports
+ * from the selected provider (FlightAware AeroAPI by default, see
+ * scripts/providers) and saves each to data/<iata>.json
  * 
- * Usage: AEROAPI_KEY=your_key node scripts/fetch-flights.js
+ * Usage: AEROAPI_KEY=your_key node scripts/fetch-flights.js [IATA ...]
+ *        AEROAPI_KEY=your_key AIRPORTS=PVR,GDL node scripts/fetch-flights.js
+ *        FLIGHT_PROVIDER=aviationstack AVIATIONSTACK_API_KEY=your_key node scripts/fetch-flights.js
+ *        FLIGHT_PROVIDER=fixture node scripts/fetch-flights.js
  */
 
 const fs = require('fs');
 const path = require('path');
-const fetch = require('node-fetch');
+const { DEFAULT_AIRPORT, resolveAirports } = require('./airports');
+const { getProvider } = require('./providers');
+const { writeArchive } = require('./archive');
+const { writeCalendarFeeds } = require('./calendar');
+const { computeStats } = require('./stats');
+const { linkRotations } = require('./rotation');
+const { linkDiversions } = require('./diversions');
+const { diffFlights, appendEvents, writeEventFeeds } = require('./events');
+const { SCHEMA_VERSION, FlightDataValidationError, assertValidFlightData } = require('./schema');
+const { WINDOW_MODES, getLocalDate, getWindowDates, getWindowRange } = require('./time');
+const { readCount } = require('./settings');
+
+// Problems found while reading CONFIG, reported by main before anything is fetched
+const configErrors = [];
 
 // Configuration
 const CONFIG = {
-    apiKey: process.env.AEROAPI_KEY,
-    airportId: 'MMPR', // Puerto Vallarta ICAO code
-    baseUrl: 'https://aeroapi.flightaware.com/aeroapi',
-    outputPath: path.join(__dirname, '..', 'data', 'flights.json'),
-    timezone: 'America/Mexico_City'
+    // Data provider: aeroapi, aviationstack or fixture (see scripts/providers)
+    provider: process.env.FLIGHT_PROVIDER,
+    dataDir: path.join(__dirname, '..', 'data'),
+    // Flights to publish: today, rolling (2h ago to 22h ahead) or today-tomorrow
+    windowMode: process.env.FLIGHT_WINDOW || 'today',
+    // Minutes either side of schedule still counted as "On Time"
+    delayThresholdMinutes: readConfigCount('DELAY_THRESHOLD_MINUTES', 15),
+    // Shortest time an aircraft needs at the gate between an arrival and its next departure
+    minTurnaroundMinutes: readConfigCount('MIN_TURNAROUND_MINUTES', 35),
+    // Number of daily snapshots kept in data/archive/<iata>/ (0 keeps every day)
+    archiveRetentionDays: readConfigCount('ARCHIVE_RETENTION_DAYS', 90),
+    // Days of changes kept in data/events.json
+    eventRetentionDays: readConfigCount('EVENT_RETENTION_DAYS', 14, 1),
+    // Public address of the board, linked from the event feeds (optional)
+    siteUrl: process.env.SITE_URL || null,
+    // Legacy single-airport file, kept for existing embeds of the default airport
+    legacyOutputPath: path.join(__dirname, '..', 'data', 'flights.json')
+};
+
+// Whole-number setting from the environment (see ./settings). An invalid
+// value is recorded in configErrors, as CONFIG is built when tests load this
+function readConfigCount(name, fallback, min) {
+    try {
+        return readCount(process.env, name, fallback, min);
+    } catch (error) {
+        configErrors.push(error.message);
+        return fallback;
+    }
+}
+
+// Exit codes, which the workflow tells apart (any other non-zero code is a crash)
+const EXIT_CODES = {
+    // Could not start: unknown provider or window, invalid setting, missing key, unknown airport
+    config: 2,
+    // A fetch failed; that airport's previous data was republished as stale
+    fetchFailed: 3,
+    // Generated data failed schema validation; that airport's files were left as they were
+    invalidData: 4
 };
 
 // Main function
 async function main() {
-    console.log('🛫 Puerto Vallarta Flight Tracker - FlightAware AeroAPI');
+    let provider;
+    try {
+        provider = getProvider(CONFIG.provider);
+    } catch (error) {
+        console.error(`❌ Error: ${error.message}`);
+        process.exit(EXIT_CODES.config);
+    }
+
+    if (configErrors.length > 0) {
+        configErrors.forEach(message => console.error(`❌ Error: ${message}`));
+        process.exit(EXIT_CODES.config);
+    }
+
+    if (!WINDOW_MODES.includes(CONFIG.windowMode)) {
+        console.error(`❌ Error: Unknown FLIGHT_WINDOW "${CONFIG.windowMode}". Known windows: ${WINDOW_MODES.join(', ')}`);
+        process.exit(EXIT_CODES.config);
+    }
+
+    console.log(`🛫 Puerto Vallarta Flight Tracker - ${provider.label}`);
     console.log('='.repeat(55));
     
-    // Validate API key
-    if (!CONFIG.apiKey) {
-        console.error('❌ Error: AEROAPI_KEY environment variable is not set');
-        process.exit(1);
+    // Validate the provider's settings and API key
+    let settings;
+    try {
+        settings = provider.getSettings(process.env);
+    } catch (error) {
+        console.error(`❌ Error: ${error.message}`);
+        process.exit(EXIT_CODES.config);
+    }
+    if (provider.keyEnv && !settings.apiKey) {
+        console.error(`❌ Error: ${provider.keyEnv} environment variable is not set`);
+        process.exit(EXIT_CODES.config);
     }
 
+    // Airports come from the command line, then the AIRPORTS env var
+    let airports;
     try {
-        console.log(`\n📡 Fetching flights for airport: ${CONFIG.airportId}`);
-        
-        // FlightAware AeroAPI /airports/{id}/flights endpoint
-        // This returns scheduled and actual arrivals/departures
-        const url = `${CONFIG.baseUrl}/airports/${CONFIG.airportId}/flights?max_pages=5`;
+        airports = resolveAirports(getRequestedAirportCodes());
+    } catch (error) {
+        console.error(`❌ Error: ${error.message}`);
+        process.exit(EXIT_CODES.config);
+    }
+
+    const results = [];
+    for (const airport of airports) {
+        results.push(await fetchAirport(airport, provider, settings));
+    }
+
+    const failures = results.filter(result => result !== 'ok').length;
+    if (failures > 0) {
+        console.error(`\n❌ ${failures} of ${airports.length} airport(s) failed`);
+        process.exit(results.includes('invalid') ? EXIT_CODES.invalidData : EXIT_CODES.fetchFailed);
+    }
+}
+
+// Read the list of IATA codes to fetch from argv or the AIRPORTS env var
+function getRequestedAirportCodes() {
+    const args = process.argv.slice(2);
+    if (args.length > 0) return args;
+
+    return (process.env.AIRPORTS || '')
+        .split(',')
+        .map(code => code.trim())
+        .filter(Boolean);
+}
+
+// Fetch, process and save one airport. Returns 'ok', 'stale' (the fetch
+// failed and the previous data was kept) or 'invalid' (nothing was written)
+async function fetchAirport(airport, provider, settings) {
+    const outputPath = getOutputPath(airport);
+
+    try {
+        console.log(`\n📡 Fetching flights for airport: ${airport.code} (${airport.icao})`);
         
-        const response = await fetch(url, {
-            headers: {
-                'x-apikey': CONFIG.apiKey,
-                'Accept': 'application/json'
-            }
-        });
+        // The configured window in the airport's local time, as normalized records
+        const fetchedAt = new Date();
+        const range = getWindowRange(CONFIG.windowMode, airport.timezone, fetchedAt);
+        const data = await provider.fetchDay(airport, range, settings);
 
-        if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`API request failed: ${response.status} ${response.statusText}\n${errorText}`);
+        if (!data.complete) {
+            console.warn(`   ⚠️  Page budget of ${settings.maxPages} reached before the end of the window; later flights may be missing`);
         }
 
-        const data = await response.json();
-
-        // Process data
+        // Process data, link diverted arrivals to the flights continuing them, then
+        // pair each departure with the arrival bringing its aircraft in
+        const now = new Date().toISOString();
+        const { arrivals, departures } = linkRotations(
+            linkDiversions(processFlights(data.arrivals, airport.timezone, fetchedAt, range.mode)),
+            processFlights(data.departures, airport.timezone, fetchedAt, range.mode),
+            { minTurnaroundMinutes: CONFIG.minTurnaroundMinutes, delayThresholdMinutes: CONFIG.delayThresholdMinutes }
+        );
         const flightData = {
-            lastUpdated: new Date().toISOString(),
-            airport: {
-                code: 'PVR',
-                icao: CONFIG.airportId,
-                name: 'Gustavo Díaz Ordaz International Airport',
-                city: 'Puerto Vallarta',
-                timezone: CONFIG.timezone
+            schemaVersion: SCHEMA_VERSION,
+            lastUpdated: now,
+            lastSuccessfulUpdate: now,
+            stale: false,
+            airport: { ...airport },
+            meta: {
+                provider: provider.name,
+                pagesFetched: data.pages,
+                pageBudget: settings.maxPages || null,
+                complete: data.complete,
+                window: {
+                    mode: range.mode,
+                    start: range.start.toISOString(),
+                    end: range.end.toISOString()
+                }
             },
-            arrivals: processFlights([
-                ...(data.arrivals || []),
-                ...(data.scheduled_arrivals || [])
-            ], 'arrival'),
-            departures: processFlights([
-                ...(data.departures || []),
-                ...(data.scheduled_departures || [])
-            ], 'departure')
+            // The day's figures only, whatever else the window holds
+            stats: computeStats(
+                arrivals.filter(flight => getLocalDate(flight.scheduled, airport.timezone) === range.date),
+                departures.filter(flight => getLocalDate(flight.scheduled, airport.timezone) === range.date),
+                airport.timezone
+            ),
+            arrivals: arrivals,
+            departures: departures
         };
 
-        // Save to file
-        await saveFlightData(flightData);
+        // What changed since the published file, read before it is replaced
+        const previous = readPreviousData(airport);
+        const events = diffFlights(previous && previous.schemaVersion === SCHEMA_VERSION ? previous : null, flightData, airport);
+
+        // Save to file, keep each day's snapshot in the archive, and refresh the calendar and event feeds
+        await saveFlightData(airport, flightData);
+        const archiveDates = writeDerived('the archive', () => writeArchive(CONFIG.dataDir, airport, flightData, CONFIG.archiveRetentionDays));
+        const calendars = writeDerived('the calendar feeds', () => writeCalendarFeeds(CONFIG.dataDir, airport, flightData));
+        const eventLog = writeDerived('the change log', () => appendEvents(CONFIG.dataDir, events, CONFIG.eventRetentionDays));
+        const eventFeeds = eventLog && writeDerived('the event feeds', () => writeEventFeeds(CONFIG.dataDir, airport, eventLog, CONFIG.siteUrl));
 
         // Summary
-        console.log('\n✅ Data fetch complete!');
+        console.log(`\n✅ ${airport.code} fetch complete!`);
         console.log(`   Arrivals: ${flightData.arrivals.length} flights`);
         console.log(`   Departures: ${flightData.departures.length} flights`);
-        console.log(`   Saved to: ${CONFIG.outputPath}`);
+        console.log(`   API pages: ${data.pages}${data.complete ? '' : ' (budget reached)'}`);
+        console.log(`   On time: ${formatPercent(flightData.stats.overall.onTimePercent)} of ${flightData.stats.overall.operated} operated flights`);
+        console.log(`   Diversions: ${[...arrivals, ...departures].filter(flight => flight.status === 'Diverted').length}, ${arrivals.filter(flight => flight.recovery).length} with a recovery flight`);
+        console.log(`   Rotations: ${departures.filter(flight => flight.rotation).length} linked, ${departures.filter(flight => flight.predictedDelayMinutes).length} with a late inbound`);
+        console.log(`   Saved to: ${outputPath}`);
+        console.log(`   Archived as: ${archiveDates ? archiveDates.join(', ') : 'not archived'}`);
+        console.log(`   Calendar feeds: ${calendars ? calendars.join(', ') : 'not written'}`);
+        console.log(`   Changes: ${events.length} new event(s); feeds ${eventFeeds ? eventFeeds.join(', ') : 'not written'}`);
+        return 'ok';
 
     } catch (error) {
-        console.error('\n❌ Error fetching flight data:', error.message);
+        if (error instanceof FlightDataValidationError) {
+            // Our own output is wrong: leave the published file untouched
+            console.error(`\n❌ Refusing to write invalid data for ${airport.code}:`, error.message);
+            return 'invalid';
+        }
+
+        console.error(`\n❌ Error fetching flight data for ${airport.code}:`, error.message);
         
-        // Create empty data file on error so the site doesn't break
-        await saveEmptyData();
-        process.exit(1);
+        // Keep the last good flights on the board, flagged as stale
+        try {
+            await saveStaleData(airport, error);
+        } catch (staleError) {
+            console.error(`   ❌ Could not save stale data for ${airport.code}:`, staleError.message);
+            if (staleError instanceof FlightDataValidationError) return 'invalid';
+        }
+        return 'stale';
+    }
+}
+
+// Write one of the files derived from freshly saved data (archive, feeds).
+// The data itself is already published, so a failure here is logged and the
+// run moves on rather than marking that data stale. Returns null on failure.
+function writeDerived(label, write) {
+    try {
+        return write();
+    } catch (error) {
+        console.warn(`   ⚠️  Could not write ${label}: ${error.message}`);
+        return null;
     }
 }
 
-// Process FlightAware AeroAPI flight objects into our clean format
-function processFlights(flights, type) {
+// Refine normalized records from a provider: delay and punctuality, the
+// window (see getWindowRange) in the airport's timezone, one row per
+// operating flight and day
+function processFlights(flights, timezone, now = new Date(), mode = 'today') {
     if (!Array.isArray(flights)) return [];
     
-    // Get today's date in Mexico timezone for filtering (ISO YYYY-MM-DD)
-    const today = new Date().toLocaleDateString('en-CA', { timeZone: CONFIG.timezone });
+    // UTC instants the window runs between, e.g. local midnight to midnight
+    const range = getWindowRange(mode, timezone, now);
+    const inRange = time => time >= range.start.getTime() && time < range.end.getTime();
+    const dates = getWindowDates(range, timezone);
     
     const processed = flights
-        .map(flight => {
-            const isArrival = type === 'arrival';
-            
-            // Map status
-            let status = 'Scheduled';
-            if (flight.cancelled) {
-                status = 'Cancelled';
-            } else if (flight.diverted) {
-                status = 'Diverted';
-            } else if (isArrival) {
-                // Arrival: Landed if actual_on exists, En Route if it has left origin (actual_off)
-                if (flight.actual_on) status = 'Landed';
-                else if (flight.actual_off) status = 'En Route';
-                else status = 'Scheduled';
-            } else {
-                // Departure: Departed only if actual_off exists
-                if (flight.actual_off) status = 'Departed';
-                else status = 'Scheduled';
+        .map(record => {
+            const flight = { ...record, codeshares: [...(record.codeshares || [])] };
+
+            // Delay against schedule, preferring the actual time once known
+            flight.delayMinutes = computeDelayMinutes(flight.scheduled, flight.actual || flight.estimated);
+            flight.punctuality = flight.status === 'Cancelled' ? null : classifyDelay(flight.delayMinutes);
+
+            // Not yet moving: show the punctuality instead of a plain "Scheduled"
+            if (flight.status === 'Scheduled' && flight.punctuality) {
+                flight.status = flight.punctuality;
             }
 
-            return {
-                flightNumber: flight.ident_iata || flight.ident || '—',
-                airline: flight.operator_name || flight.operator || '—',
-                airlineCode: flight.operator || '',
-                
-                // Origin/Destination
-                origin: isArrival ? (flight.origin?.name || flight.origin?.city || 'Unknown') : null,
-                originCode: isArrival ? (flight.origin?.code_iata || flight.origin?.code || '') : null,
-                destination: !isArrival ? (flight.destination?.name || flight.destination?.city || 'Unknown') : null,
-                destinationCode: !isArrival ? (flight.destination?.code_iata || flight.destination?.code || '') : null,
-                
-                // Times (using scheduled_on for arrivals, scheduled_off for departures)
-                scheduled: isArrival ? (flight.scheduled_on || flight.scheduled_at) : (flight.scheduled_off || flight.scheduled_at),
-                estimated: isArrival ? (flight.estimated_on || flight.estimated_at) : (flight.estimated_off || flight.estimated_at),
-                actual: isArrival ? (flight.actual_on || flight.actual_at) : (flight.actual_off || flight.actual_at),
-                
-                status: status,
-                terminal: isArrival ? (flight.arrival_terminal || null) : (flight.departure_terminal || null),
-                gate: isArrival ? (flight.arrival_gate || null) : (flight.departure_gate || null)
-            };
+            return flight;
         })
         .filter(flight => {
-            // Only keep flights scheduled for today (in local timezone)
+            // Keep flights scheduled in the window, and late ones from the
+            // window's days that their estimated or actual time still keeps
+            // in it (e.g. a rolling window that has moved past their schedule)
             if (!flight.scheduled) return false;
-            try {
-                const date = new Date(flight.scheduled);
-                const flightLocalDate = date.toLocaleDateString('en-CA', { timeZone: CONFIG.timezone });
-                return flightLocalDate === today;
-            } catch (e) {
-                return false;
-            }
+            const time = new Date(flight.scheduled).getTime();
+            if (isNaN(time)) return false;
+            if (inRange(time)) return true;
+
+            const expected = new Date(flight.actual || flight.estimated).getTime();
+            return inRange(expected) && dates.includes(getLocalDate(time, timezone));
         });
 
-    // Deduplicate by flight number
+    // Deduplicate by operating flight: repeated records of one flight and
+    // partner-numbered copies of it collapse into a single row
     const uniqueFlights = [];
-    const seen = new Set();
+    const owners = new Map();
+
+    // Numbers that some record lists as a codeshare, i.e. marketing copies
+    const marketingNumbers = new Set(processed.flatMap(flight => flight.codeshares));
     
-    // Sort by status priority (Landed/Departed > En Route > Scheduled) then by time
-    // to keep the most "active" record if duplicates exist
+    // Sort by status priority (Landed/Departed > En Route > Scheduled), then
+    // operating before marketing records, then by time, to keep the most
+    // "active" operating record if duplicates exist
     processed.sort((a, b) => {
-        const statusOrder = { 'Landed': 3, 'Departed': 3, 'En Route': 2, 'Scheduled': 1, 'Cancelled': 0 };
+        const statusOrder = {
+            'Landed': 3, 'Departed': 3, 'En Route': 2,
+            'Delayed': 1, 'On Time': 1, 'Early': 1, 'Scheduled': 1, 'Cancelled': 0
+        };
         const statusDiff = (statusOrder[b.status] || 0) - (statusOrder[a.status] || 0);
         if (statusDiff !== 0) return statusDiff;
+
+        const operatingDiff = marketingNumbers.has(a.flightNumber) - marketingNumbers.has(b.flightNumber);
+        if (operatingDiff !== 0) return operatingDiff;
         
         const timeA = new Date(a.scheduled).getTime();
         const timeB = new Date(b.scheduled).getTime();
@@ -168,10 +314,24 @@ function processFlights(flights, type) {
     });
 
     for (const flight of processed) {
-        if (!seen.has(flight.flightNumber)) {
-            seen.add(flight.flightNumber);
+        const keys = getFlightKeys(flight, timezone);
+        const owner = keys.map(key => owners.get(key)).find(Boolean);
+
+        if (owner) {
+            // Same physical flight: keep the owner, collect any new partner numbers
+            const numbers = [flight.flightNumber, ...flight.codeshares];
+            for (const number of numbers) {
+                if (number !== owner.flightNumber && !owner.codeshares.includes(number)) {
+                    owner.codeshares.push(number);
+                }
+            }
+        } else {
             uniqueFlights.push(flight);
         }
+
+        getFlightKeys(owner || flight, timezone).concat(keys).forEach(key => {
+            if (!owners.has(key)) owners.set(key, owner || flight);
+        });
     }
 
     // Final sort by time for the JSON
@@ -182,33 +342,109 @@ function processFlights(flights, type) {
     });
 }
 
-// Save flight data to JSON file
-async function saveFlightData(data) {
-    const dir = path.dirname(CONFIG.outputPath);
-    if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true });
+// Identifiers that mark records of the same physical flight: numbers are
+// reused every day, so they only match on the same local date, and a diverted
+// flight is kept apart from the recovery flight continuing it under its number
+function getFlightKeys(flight, timezone) {
+    const date = getLocalDate(flight.scheduled, timezone);
+    const suffix = flight.status === 'Diverted' ? ':diverted' : '';
+    const keys = [flight.flightNumber, ...flight.codeshares].map(number => `${number}@${date}${suffix}`);
+    if (flight.faFlightId) keys.push(`fa:${flight.faFlightId}`);
+    return keys;
+}
+
+// Minutes between the scheduled and estimated/actual time (positive = late)
+function computeDelayMinutes(scheduled, expected) {
+    if (!scheduled || !expected) return null;
+
+    const diff = new Date(expected).getTime() - new Date(scheduled).getTime();
+    if (isNaN(diff)) return null;
+
+    return Math.round(diff / 60000);
+}
+
+// Classify a delay as Delayed / On Time / Early using the configured threshold
+function classifyDelay(delayMinutes) {
+    if (delayMinutes === null) return null;
+
+    const threshold = CONFIG.delayThresholdMinutes;
+    if (delayMinutes > threshold) return 'Delayed';
+    if (delayMinutes < -threshold) return 'Early';
+    return 'On Time';
+}
+
+// "86%", or "n/a" before any flight has operated
+function formatPercent(percent) {
+    return percent === null ? 'n/a' : `${percent}%`;
+}
+
+// Path of the data file for an airport (data/<iata>.json)
+function getOutputPath(airport) {
+    return path.join(CONFIG.dataDir, `${airport.code.toLowerCase()}.json`);
+}
+
+// Validate and save flight data to JSON file (throws before writing if invalid)
+async function saveFlightData(airport, data) {
+    assertValidFlightData(data);
+
+    if (!fs.existsSync(CONFIG.dataDir)) {
+        fs.mkdirSync(CONFIG.dataDir, { recursive: true });
+    }
+
+    const json = JSON.stringify(data, null, 2);
+    fs.writeFileSync(getOutputPath(airport), json);
+
+    if (airport.code === DEFAULT_AIRPORT) {
+        fs.writeFileSync(CONFIG.legacyOutputPath, json);
     }
-    fs.writeFileSync(CONFIG.outputPath, JSON.stringify(data, null, 2));
 }
 
-// Save empty data structure on error
-async function saveEmptyData() {
-    const emptyData = {
+// Read the currently published data for an airport, or null if missing/unreadable
+function readPreviousData(airport) {
+    try {
+        return JSON.parse(fs.readFileSync(getOutputPath(airport), 'utf8'));
+    } catch (e) {
+        return null;
+    }
+}
+
+// On error, republish the previous good data flagged as stale (empty if there
+// is none, or if it was written in an older schema version)
+async function saveStaleData(airport, error) {
+    const found = readPreviousData(airport);
+    const previous = found && found.schemaVersion === SCHEMA_VERSION ? found : {};
+
+    const staleData = {
+        schemaVersion: SCHEMA_VERSION,
         lastUpdated: new Date().toISOString(),
-        airport: {
-            code: 'PVR',
-            icao: CONFIG.airportId,
-            name: 'Gustavo Díaz Ordaz International Airport',
-            city: 'Puerto Vallarta',
-            timezone: CONFIG.timezone
-        },
-        arrivals: [],
-        departures: [],
-        error: 'Failed to fetch flight data. Will retry on next scheduled run.'
+        lastSuccessfulUpdate: previous.lastSuccessfulUpdate || (previous.stale || previous.error ? null : previous.lastUpdated) || null,
+        stale: true,
+        airport: { ...airport },
+        ...(previous.meta ? { meta: previous.meta } : {}),
+        ...(previous.stats ? { stats: previous.stats } : {}),
+        arrivals: previous.arrivals || [],
+        departures: previous.departures || [],
+        error: {
+            message: 'Failed to fetch flight data. Will retry on next scheduled run.',
+            // The error's class only: messages can quote request URLs and keys,
+            // so they stay in the run's log
+            details: error.name || 'Error',
+            time: new Date().toISOString()
+        }
     };
-    
-    await saveFlightData(emptyData);
+
+    console.log(`   Kept previous data from ${staleData.lastSuccessfulUpdate || 'never'} (marked stale)`);
+    await saveFlightData(airport, staleData);
 }
 
-// Run
-main();
+module.exports = {
+    processFlights,
+    getFlightKeys,
+    computeDelayMinutes,
+    classifyDelay
+};
+
+// Run when executed directly (not when required by tests)
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,134 @@
+/**
+ * FlightAware AeroAPI provider
+ *
+ * Pages through /airports/{icao}/flights for the local day (see ../aeroapi)
+ * and maps AeroAPI flight objects into normalized records.
+ *
+ * Env: AEROAPI_KEY (required), AEROAPI_BASE_URL, AEROAPI_MAX_PAGES
+ */
+
+const { DEFAULTS, fetchAirportFlights } = require('../aeroapi');
+const { createFlight } = require('./normalize');
+const { readCount } = require('../settings');
+
+// AeroAPI reports route_distance in statute miles
+const KM_PER_MILE = 1.609344;
+
+// Provider settings from the environment
+function getSettings(env) {
+    return {
+        apiKey: env.AEROAPI_KEY,
+        // Overridable so the fetcher can run against a local mock AeroAPI
+        baseUrl: env.AEROAPI_BASE_URL || DEFAULTS.baseUrl,
+        // Maximum AeroAPI result pages per airport per run (each page is billed)
+        maxPages: readCount(env, 'AEROAPI_MAX_PAGES', DEFAULTS.maxPages, 1)
+    };
+}
+
+// Fetch one airport's flights between start and end as normalized records
+async function fetchDay(airport, { start, end }, settings) {
+    const data = await fetchAirportFlights(airport.icao, {
+        apiKey: settings.apiKey,
+        baseUrl: settings.baseUrl,
+        maxPages: settings.maxPages,
+        start: start,
+        end: end
+    });
+
+    return {
+        arrivals: normalizeFlights([...data.arrivals, ...data.scheduled_arrivals], 'arrival'),
+        departures: normalizeFlights([...data.departures, ...data.scheduled_departures], 'departure'),
+        pages: data.pages,
+        complete: data.complete
+    };
+}
+
+// Map a list of AeroAPI flight objects ('arrival' or 'departure' side)
+function normalizeFlights(flights, type) {
+    if (!Array.isArray(flights)) return [];
+    return flights.map(flight => normalizeFlight(flight, type));
+}
+
+// Map one AeroAPI flight object into a normalized record
+function normalizeFlight(flight, type) {
+    const isArrival = type === 'arrival';
+
+    // Map status
+    let status = 'Scheduled';
+    if (flight.cancelled) {
+        status = 'Cancelled';
+    } else if (flight.diverted) {
+        status = 'Diverted';
+    } else if (isArrival) {
+        // Arrival: Landed if actual_on exists, En Route if it has left origin (actual_off)
+        if (flight.actual_on) status = 'Landed';
+        else if (flight.actual_off) status = 'En Route';
+    } else if (flight.actual_off) {
+        // Departure: Departed only if actual_off exists
+        status = 'Departed';
+    }
+
+    return createFlight(type, {
+        flightNumber: flight.ident_iata || flight.ident,
+        codeshares: flight.codeshares_iata || flight.codeshares,
+        faFlightId: flight.fa_flight_id,
+        inboundFaFlightId: flight.inbound_fa_flight_id,
+        airline: {
+            icao: flight.operator_icao || flight.operator,
+            iata: flight.operator_iata,
+            name: flight.operator_name
+        },
+        airport: readAirport(isArrival ? flight.origin : flight.destination),
+        // Times (using *_on for arrivals, *_off for departures)
+        scheduled: isArrival ? (flight.scheduled_on || flight.scheduled_at) : (flight.scheduled_off || flight.scheduled_at),
+        estimated: isArrival ? (flight.estimated_on || flight.estimated_at) : (flight.estimated_off || flight.estimated_at),
+        actual: isArrival ? (flight.actual_on || flight.actual_at) : (flight.actual_off || flight.actual_at),
+        status: status,
+        // Once diverted, AeroAPI reports the airport the flight went to as its destination
+        divertedTo: flight.diverted ? readAirport(flight.destination) : null,
+        // AeroAPI v4 names these per end of the route (terminal_origin,
+        // gate_destination, ...); ours is the destination for arrivals
+        terminal: isArrival ? flight.terminal_destination : flight.terminal_origin,
+        gate: isArrival ? flight.gate_destination : flight.gate_origin,
+        baggageClaim: flight.baggage_claim,
+        aircraftType: flight.aircraft_type,
+        registration: flight.registration,
+        distanceKm: flight.route_distance * KM_PER_MILE,
+        timeline: {
+            gateOut: readTimes(flight, 'out'),
+            takeoff: readTimes(flight, 'off'),
+            landing: readTimes(flight, 'on'),
+            gateIn: readTimes(flight, 'in')
+        }
+    });
+}
+
+// AeroAPI airport object in the shape createFlight() expects
+function readAirport(airport) {
+    return airport && {
+        iata: airport.code_iata,
+        icao: airport.code_icao,
+        code: airport.code,
+        city: airport.city,
+        name: airport.name
+    };
+}
+
+// Scheduled, estimated and actual times of one OOOI event ('out', 'off', 'on', 'in')
+function readTimes(flight, event) {
+    return {
+        scheduled: flight[`scheduled_${event}`],
+        estimated: flight[`estimated_${event}`],
+        actual: flight[`actual_${event}`]
+    };
+}
+
+module.exports = {
+    name: 'aeroapi',
+    label: 'FlightAware AeroAPI',
+    keyEnv: 'AEROAPI_KEY',
+    getSettings,
+    fetchDay,
+    normalizeFlight,
+    normalizeFlights
+};
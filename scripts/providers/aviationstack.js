@@ -0,0 +1,198 @@
+/**
+ * AviationStack provider
+ *
+ * Reads /v1/flights once for arrivals (arr_iata) and once for departures
+ * (dep_iata), paging with limit/offset, and maps the results into
+ * normalized records. AviationStack only returns the current day's flights
+ * on its lower plans, so the day window is applied by processFlights().
+ *
+ * Env: AVIATIONSTACK_API_KEY (required), AVIATIONSTACK_BASE_URL,
+ *      AVIATIONSTACK_MAX_PAGES
+ */
+
+const { fetchWithRetry } = require('../retry');
+const { createFlight } = require('./normalize');
+const { getUtcFromLocal } = require('../time');
+const { readCount } = require('../settings');
+
+const DEFAULTS = {
+    // The free plan is HTTP-only; paid plans can use https://
+    baseUrl: 'http://api.aviationstack.com/v1',
+    // Requests per direction per run (each one counts against the monthly quota)
+    maxPages: 2,
+    pageSize: 100,
+    // Network errors, 429 and 5xx responses (see ../retry)
+    maxRetries: 3,
+    retryDelayMs: 1000
+};
+
+// Provider settings from the environment
+function getSettings(env) {
+    return {
+        apiKey: env.AVIATIONSTACK_API_KEY,
+        baseUrl: env.AVIATIONSTACK_BASE_URL || DEFAULTS.baseUrl,
+        maxPages: readCount(env, 'AVIATIONSTACK_MAX_PAGES', DEFAULTS.maxPages, 1)
+    };
+}
+
+// Fetch one airport's arrivals and departures as normalized records
+async function fetchDay(airport, range, options) {
+    const settings = { ...DEFAULTS, ...options };
+    const arrivals = await fetchDirection(airport, 'arr_iata', settings);
+    const departures = await fetchDirection(airport, 'dep_iata', settings);
+
+    return {
+        arrivals: arrivals.flights.map(flight => normalizeFlight(flight, 'arrival', airport.timezone)),
+        departures: departures.flights.map(flight => normalizeFlight(flight, 'departure', airport.timezone)),
+        pages: arrivals.pages + departures.pages,
+        complete: arrivals.complete && departures.complete
+    };
+}
+
+// Page through /flights filtered on one side (arr_iata or dep_iata)
+async function fetchDirection(airport, filter, settings) {
+    const flights = [];
+    let pages = 0;
+    let total = Infinity;
+
+    while (flights.length < total && pages < settings.maxPages) {
+        const params = new URLSearchParams({
+            access_key: settings.apiKey,
+            [filter]: airport.code,
+            limit: String(DEFAULTS.pageSize),
+            offset: String(flights.length)
+        });
+
+        let response;
+        try {
+            response = await fetchWithRetry(`${settings.baseUrl}/flights?${params}`, {
+                headers: { 'Accept': 'application/json' }
+            }, { label: 'AviationStack', maxRetries: settings.maxRetries, retryDelayMs: settings.retryDelayMs });
+        } catch (error) {
+            throw redactKey(error, settings.apiKey);
+        }
+        const body = await response.json().catch(() => ({}));
+
+        // Errors can arrive with a 200 status, so check the body as well
+        if (!response.ok || body.error) {
+            const message = body.error ? `${body.error.code}: ${body.error.message}` : response.statusText;
+            throw redactKey(new Error(`API request failed: ${response.status} ${message}`), settings.apiKey);
+        }
+
+        const data = body.data || [];
+        flights.push(...data);
+        pages++;
+
+        total = body.pagination ? body.pagination.total : flights.length;
+        if (data.length === 0) break;
+    }
+
+    return { flights, pages, complete: flights.length >= total };
+}
+
+// The access key travels in the query string, and node-fetch quotes the
+// request URL in its error messages: mask the key before the error is logged
+// or published
+function redactKey(error, apiKey) {
+    if (!apiKey) return error;
+
+    const message = [apiKey, encodeURIComponent(apiKey)]
+        .reduce((text, secret) => text.split(secret).join('***'), error.message);
+    const redacted = new Error(message);
+    redacted.name = error.name;
+    return redacted;
+}
+
+// Map one AviationStack flight into a normalized record
+function normalizeFlight(flight, type, airportTimezone) {
+    const isArrival = type === 'arrival';
+    const side = (isArrival ? flight.arrival : flight.departure) || {};
+    const other = (isArrival ? flight.departure : flight.arrival) || {};
+    const info = flight.flight || {};
+    const airline = flight.airline || {};
+    const aircraft = flight.aircraft || {};
+    const timezone = side.timezone || airportTimezone;
+
+    // Marketing copies point at the operating flight; file them under it
+    const operating = info.codeshared;
+    const ownNumber = (info.iata || '').toUpperCase();
+    const flightNumber = operating ? (operating.flight_iata || '').toUpperCase() : ownNumber;
+
+    const actual = parseLocalTime(side.actual || side.actual_runway, timezone);
+
+    let status = 'Scheduled';
+    if (flight.flight_status === 'cancelled') {
+        status = 'Cancelled';
+    } else if (flight.flight_status === 'diverted') {
+        status = 'Diverted';
+    } else if (isArrival) {
+        if (actual || flight.flight_status === 'landed') status = 'Landed';
+        else if (flight.flight_status === 'active') status = 'En Route';
+    } else if (actual || flight.flight_status === 'active' || flight.flight_status === 'landed') {
+        status = 'Departed';
+    }
+
+    return createFlight(type, {
+        flightNumber: flightNumber || ownNumber,
+        codeshares: operating ? [ownNumber] : [],
+        airline: operating
+            ? { icao: upper(operating.airline_icao), iata: upper(operating.airline_iata), name: operating.airline_name }
+            : { icao: airline.icao, iata: airline.iata, name: airline.name },
+        airport: {
+            iata: other.iata,
+            icao: other.icao,
+            name: other.airport
+        },
+        scheduled: parseLocalTime(side.scheduled, timezone),
+        estimated: parseLocalTime(side.estimated, timezone),
+        actual: actual,
+        status: status,
+        terminal: side.terminal,
+        gate: side.gate,
+        baggageClaim: side.baggage,
+        aircraftType: aircraft.icao || aircraft.iata,
+        registration: aircraft.registration,
+        timeline: getTimeline(flight, isArrival ? null : timezone, isArrival ? timezone : null)
+    });
+}
+
+// Gate (scheduled/estimated/actual) and runway (estimated/actual) times of
+// both ends, each read in its own airport's timezone; an end whose timezone
+// is unknown is left out
+function getTimeline(flight, departureTimezone, arrivalTimezone) {
+    const read = (side = {}, fallbackTimezone) => {
+        const timezone = side.timezone || fallbackTimezone;
+        return field => (timezone ? parseLocalTime(side[field], timezone) : null);
+    };
+    const departure = read(flight.departure, departureTimezone);
+    const arrival = read(flight.arrival, arrivalTimezone);
+
+    return {
+        gateOut: { scheduled: departure('scheduled'), estimated: departure('estimated'), actual: departure('actual') },
+        takeoff: { estimated: departure('estimated_runway'), actual: departure('actual_runway') },
+        landing: { estimated: arrival('estimated_runway'), actual: arrival('actual_runway') },
+        gateIn: { scheduled: arrival('scheduled'), estimated: arrival('estimated'), actual: arrival('actual') }
+    };
+}
+
+// AviationStack labels airport-local times as UTC ("...+00:00"); read the
+// wall-clock part in the airport's timezone instead
+function parseLocalTime(value, timezone) {
+    if (!value) return null;
+    const wallTime = String(value).slice(0, 19);
+    if (!/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(wallTime)) return null;
+    return getUtcFromLocal(wallTime, timezone).toISOString();
+}
+
+function upper(code) {
+    return code ? String(code).toUpperCase() : code;
+}
+
+module.exports = {
+    name: 'aviationstack',
+    label: 'AviationStack',
+    keyEnv: 'AVIATIONSTACK_API_KEY',
+    getSettings,
+    fetchDay,
+    normalizeFlight
+};
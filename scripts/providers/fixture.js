@@ -0,0 +1,99 @@
+/**
+ * Offline fixture provider
+ *
+ * Replays recorded AeroAPI responses from fixtures/aeroapi/<iata>.json so
+ * the fetcher and board can be developed and tested without an API key or
+ * network. A fixture holds the pages as AeroAPI returned them:
+ *
+ *   { "airport": "PVR", "recordedAt": "<ISO time>", "pages": [ ... ] }
+ *
+ * Every timestamp is moved forward by whole days so the recorded day lands
+ * on the requested day and the board looks live. A window spanning several
+ * days (e.g. today-tomorrow) gets one copy of the recorded day per day.
+ *
+ * Env: FIXTURE_DIR (defaults to fixtures/aeroapi)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeFlights } = require('./aeroapi');
+const { getLocalDate, getWindowDates } = require('../time');
+
+const DEFAULT_DIR = path.join(__dirname, '..', '..', 'fixtures', 'aeroapi');
+
+// AeroAPI flight fields holding timestamps
+const TIME_FIELDS = [
+    'scheduled_out', 'estimated_out', 'actual_out',
+    'scheduled_off', 'estimated_off', 'actual_off',
+    'scheduled_on', 'estimated_on', 'actual_on',
+    'scheduled_in', 'estimated_in', 'actual_in'
+];
+
+// Provider settings from the environment
+function getSettings(env) {
+    return {
+        fixtureDir: env.FIXTURE_DIR || DEFAULT_DIR
+    };
+}
+
+// Replay an airport's fixture, shifted onto each local day of the window
+async function fetchDay(airport, range, settings) {
+    const file = path.join(settings.fixtureDir, `${airport.code.toLowerCase()}.json`);
+    if (!fs.existsSync(file)) {
+        throw new Error(`No fixture for ${airport.code} at ${file}`);
+    }
+
+    const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const pages = fixture.pages || [];
+    const dates = range.start && range.end ? getWindowDates(range, airport.timezone) : [null];
+
+    const lists = { arrivals: [], departures: [], scheduled_arrivals: [], scheduled_departures: [] };
+    dates.forEach((date, day) => {
+        const shiftMs = getDayShiftMs(fixture.recordedAt, date, airport.timezone);
+        for (const page of pages) {
+            Object.keys(lists).forEach(list => {
+                lists[list].push(...(page[list] || []).map(flight => shiftFlight(flight, shiftMs, day)));
+            });
+        }
+    });
+
+    return {
+        arrivals: normalizeFlights([...lists.arrivals, ...lists.scheduled_arrivals], 'arrival'),
+        departures: normalizeFlights([...lists.departures, ...lists.scheduled_departures], 'departure'),
+        pages: pages.length,
+        complete: true
+    };
+}
+
+// Whole days between the recorded local day and a YYYY-MM-DD date, in ms
+function getDayShiftMs(recordedAt, date, timezone) {
+    if (!recordedAt || !date) return 0;
+
+    const from = getLocalDate(recordedAt, timezone);
+    return Date.parse(`${date}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`);
+}
+
+// Copy of a flight with every timestamp moved by shiftMs. Copies for later
+// days of the window get their own flight ids, as real flights would.
+function shiftFlight(flight, shiftMs, day = 0) {
+    const shifted = { ...flight };
+    if (day > 0) {
+        ['fa_flight_id', 'inbound_fa_flight_id'].forEach(field => {
+            if (shifted[field]) shifted[field] = `${shifted[field]}-${day}`;
+        });
+    }
+    TIME_FIELDS.forEach(field => {
+        if (shifted[field]) {
+            shifted[field] = new Date(Date.parse(shifted[field]) + shiftMs).toISOString().replace(/\.000Z$/, 'Z');
+        }
+    });
+    return shifted;
+}
+
+module.exports = {
+    name: 'fixture',
+    label: 'Offline fixture',
+    keyEnv: null,
+    getSettings,
+    fetchDay
+};
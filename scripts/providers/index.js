@@ -0,0 +1,44 @@
+/**
+ * Flight data providers
+ *
+ * Each provider fetches one airport's day of flights and maps its payload
+ * into normalized records (see ./normalize). A provider module exports:
+ *
+ *   name                   value of FLIGHT_PROVIDER that selects it
+ *   label                  human-readable name for logs
+ *   keyEnv                 env var holding its API key, or null if none
+ *   getSettings(env)       provider options read from the environment
+ *                            ({ apiKey, maxPages, ... }); throws on an
+ *                            invalid value
+ *   fetchDay(airport, { start, end }, settings)
+ *                          -> { arrivals, departures, pages, complete }
+ *
+ * To add a provider, write a module with that shape and register it below.
+ */
+
+const PROVIDERS = {
+    aeroapi: require('./aeroapi'),
+    aviationstack: require('./aviationstack'),
+    fixture: require('./fixture')
+};
+
+// Provider used when FLIGHT_PROVIDER is not set
+const DEFAULT_PROVIDER = 'aeroapi';
+
+// Look up a provider by name, throwing on unknown names
+function getProvider(name) {
+    const key = String(name || DEFAULT_PROVIDER).trim().toLowerCase();
+    const provider = PROVIDERS[key];
+
+    if (!provider) {
+        const known = Object.keys(PROVIDERS).join(', ');
+        throw new Error(`Unknown provider "${name}". Known providers: ${known}`);
+    }
+    return provider;
+}
+
+module.exports = {
+    PROVIDERS,
+    DEFAULT_PROVIDER,
+    getProvider
+};
@@ -0,0 +1,122 @@
+/**
+ * Normalized flight record
+ *
+ * Every provider adapter maps its payload through createFlight(), so
+ * processFlights() and the board only ever see this shape:
+ *
+ *   flightNumber, codeshares     operating number and partner numbers
+ *   faFlightId                   provider's unique flight id, if any
+ *   inboundFaFlightId            id of the flight bringing the aircraft in
+ *                                  (departures only, if the provider knows)
+ *   airline, airlineCode,        display name, ICAO, IATA and logo
+ *   airlineIata, airlineLogo       (via the reference data)
+ *   origin*, destination*        city, code, formal name, country of the
+ *                                  other end (only one side is set)
+ *   scheduled, estimated,        ISO timestamps (UTC) for the airport side
+ *   actual                         of the flight: arrival or departure
+ *   delayMinutes, punctuality    filled in by processFlights()
+ *   status                       Scheduled, En Route, Landed, Departed,
+ *                                  Cancelled or Diverted
+ *   divertedTo                   { city, code } where a diverted flight went
+ *                                  instead (this airport for flights diverted
+ *                                  here), if the provider says
+ *   terminal, gate
+ *   baggageClaim                 belt at this airport (arrivals only)
+ *   aircraftType, registration   ICAO type designator (e.g. B38M), tail number
+ *   distanceKm                   planned route distance
+ *   timeline                     { scheduled, estimated, actual } for each of
+ *                                  gateOut, takeoff, landing and gateIn
+ *   rotation,                    the linked inbound/outbound flight and the
+ *   predictedDelayMinutes          departure delay it causes, filled in by
+ *                                  linkRotations()
+ *   recovery, recoveryOf         a diverted arrival and the flight that
+ *                                  continues it, filled in by linkDiversions()
+ */
+
+const { describeAirline, describeAirport } = require('../reference');
+
+// Statuses an adapter may report; processFlights() refines Scheduled
+const STATUSES = ['Scheduled', 'En Route', 'Landed', 'Departed', 'Cancelled', 'Diverted'];
+
+// Flight events in the timeline, in order: pushback, wheels up, wheels down, at the gate
+const TIMELINE_EVENTS = ['gateOut', 'takeoff', 'landing', 'gateIn'];
+
+// Build a normalized record. `type` is 'arrival' or 'departure'; `airline`
+// is { icao, iata, name } and `airport` (the other end) and `divertedTo` are
+// { iata, icao, code, city, name }, all as the provider sent them.
+function createFlight(type, fields) {
+    const isArrival = type === 'arrival';
+    const flightNumber = fields.flightNumber || '—';
+    const airline = describeAirline(fields.airline);
+    const place = describeAirport(fields.airport);
+
+    return {
+        flightNumber: flightNumber,
+        // Partner (marketing) numbers sold on this operating flight
+        codeshares: (fields.codeshares || [])
+            .filter(code => code && code !== flightNumber),
+        faFlightId: fields.faFlightId || null,
+        inboundFaFlightId: !isArrival ? (fields.inboundFaFlightId || null) : null,
+        airline: airline.name,
+        airlineCode: airline.icao,
+        airlineIata: airline.iata,
+        airlineLogo: airline.logo,
+
+        // Origin/Destination: city for display, formal name and country alongside
+        origin: isArrival ? place.city : null,
+        originCode: isArrival ? place.code : null,
+        originName: isArrival ? place.name : null,
+        originCountry: isArrival ? place.country : null,
+        destination: !isArrival ? place.city : null,
+        destinationCode: !isArrival ? place.code : null,
+        destinationName: !isArrival ? place.name : null,
+        destinationCountry: !isArrival ? place.country : null,
+
+        scheduled: fields.scheduled || null,
+        estimated: fields.estimated || null,
+        actual: fields.actual || null,
+        delayMinutes: null,
+
+        status: STATUSES.includes(fields.status) ? fields.status : 'Scheduled',
+        divertedTo: fields.status === 'Diverted' && fields.divertedTo ? describeDiversion(fields.divertedTo) : null,
+        punctuality: null,
+        terminal: fields.terminal || null,
+        gate: fields.gate || null,
+        baggageClaim: isArrival ? (fields.baggageClaim || null) : null,
+
+        aircraftType: fields.aircraftType || null,
+        registration: fields.registration || null,
+        distanceKm: fields.distanceKm > 0 ? Math.round(fields.distanceKm) : null,
+        timeline: createTimeline(fields.timeline),
+        rotation: null,
+        predictedDelayMinutes: null,
+        recovery: null,
+        recoveryOf: null
+    };
+}
+
+// City and code of a diversion airport
+function describeDiversion(airport) {
+    const place = describeAirport(airport);
+    return { city: place.city, code: place.code || null };
+}
+
+// Every timeline event with all three times, null where the provider has none
+function createTimeline(timeline = {}) {
+    const result = {};
+    TIMELINE_EVENTS.forEach(event => {
+        const times = timeline[event] || {};
+        result[event] = {
+            scheduled: times.scheduled || null,
+            estimated: times.estimated || null,
+            actual: times.actual || null
+        };
+    });
+    return result;
+}
+
+module.exports = {
+    STATUSES,
+    TIMELINE_EVENTS,
+    createFlight
+};
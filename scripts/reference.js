@@ -0,0 +1,91 @@
+/**
+ * Airline and airport reference data
+ *
+ * Flight data providers identify operators by code (AeroAPI sends only the
+ * ICAO code) and name airports the way flight plans do ("Lic. Benito Juarez
+ * Int'l"). The bundled datasets in scripts/reference/ map those codes to the
+ * names travellers know:
+ *
+ *   airlines.json   ICAO code -> IATA code, display name, logo (assets/airlines/)
+ *   airports.json   IATA code -> ICAO code, name, city, country
+ *
+ * Codes missing from the datasets fall back to whatever the provider sent.
+ */
+
+const AIRLINES = require('./reference/airlines.json');
+const AIRPORTS = require('./reference/airports.json');
+
+// Airports are keyed by IATA; index them by ICAO too for codes like KHND
+const AIRPORTS_BY_ICAO = Object.fromEntries(
+    Object.values(AIRPORTS).map(airport => [airport.icao, airport])
+);
+
+// Airlines are keyed by ICAO; index them by IATA for operator_iata-only records
+const AIRLINES_BY_IATA = Object.fromEntries(
+    Object.values(AIRLINES).map(airline => [airline.iata, airline])
+);
+
+// Find an airline by ICAO or IATA code
+function findAirline(code) {
+    if (!code) return null;
+    const key = String(code).trim().toUpperCase();
+    return AIRLINES[key] || AIRLINES_BY_IATA[key] || null;
+}
+
+// Find an airport by IATA or ICAO code
+function findAirport(code) {
+    if (!code) return null;
+    const key = String(code).trim().toUpperCase();
+    return AIRPORTS[key] || AIRPORTS_BY_ICAO[key] || null;
+}
+
+// Display fields for an operator given as { icao, iata, name } (any may be missing)
+function describeAirline({ icao, iata, name } = {}) {
+    const known = findAirline(icao) || findAirline(iata);
+
+    if (known) {
+        return { name: known.name, icao: known.icao, iata: known.iata, logo: known.logo };
+    }
+
+    return {
+        name: name || icao || iata || '—',
+        icao: icao || '',
+        iata: iata || null,
+        logo: null
+    };
+}
+
+// Display fields for an airport given as { iata, icao, code, city, name },
+// where `code` is whatever identifier the provider uses when IATA is missing
+function describeAirport(place) {
+    if (!place) {
+        return { city: 'Unknown', code: '', name: null, country: null };
+    }
+
+    // Skip non-codes such as "L 21.29279 -101.98808" (coordinates of an unlisted strip)
+    const code = [place.iata, place.code, place.icao].find(isAirportCode) || '';
+    const known = findAirport(place.iata) || findAirport(place.icao) || findAirport(place.code);
+
+    if (known) {
+        return { city: known.city, code: known.iata, name: known.name, country: known.country };
+    }
+
+    return {
+        city: place.city || place.name || code || 'Unknown',
+        code: code,
+        name: place.name || null,
+        country: null
+    };
+}
+
+// IATA (3) or ICAO/FAA (4) style identifier
+function isAirportCode(code) {
+    return typeof code === 'string' && /^[A-Z0-9]{3,4}$/i.test(code);
+}
+
+module.exports = {
+    findAirline,
+    findAirport,
+    describeAirline,
+    describeAirport
+};
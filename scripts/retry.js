@@ -0,0 +1,52 @@
+/**
+ * HTTP requests with retries
+ *
+ * Shared by the API clients: network errors, rate limits (429) and server
+ * errors (5xx) are retried with exponential backoff, honouring Retry-After
+ * when the API sends it. Other responses are returned for the caller to
+ * check.
+ */
+
+const fetch = require('node-fetch');
+
+// GET a URL, retrying failures that may pass. Resolves with the last
+// response; rejects with the network error once the retries are spent
+async function fetchWithRetry(url, options, { label, maxRetries, retryDelayMs }) {
+    for (let attempt = 0; ; attempt++) {
+        let response = null;
+        let failure;
+        try {
+            response = await fetch(url, options);
+        } catch (error) {
+            if (attempt >= maxRetries) throw error;
+            // Not the message: it quotes the request URL, keys and all
+            failure = error.code || error.name;
+        }
+
+        if (response) {
+            const retryable = response.status === 429 || response.status >= 500;
+            if (!retryable || attempt >= maxRetries) return response;
+            failure = response.status;
+        }
+
+        const delay = getRetryDelay(response, attempt, retryDelayMs);
+        console.warn(`   ⏳ ${failure} from ${label}, retrying in ${delay}ms (attempt ${attempt + 1}/${maxRetries})`);
+        await sleep(delay);
+    }
+}
+
+// Retry-After (seconds) if present, otherwise base delay doubled per attempt
+function getRetryDelay(response, attempt, baseDelayMs) {
+    const retryAfter = response ? parseInt(response.headers.get('retry-after'), 10) : NaN;
+    if (!isNaN(retryAfter) && retryAfter >= 0) return retryAfter * 1000;
+
+    return baseDelayMs * Math.pow(2, attempt);
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+    fetchWithRetry
+};
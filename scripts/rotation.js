@@ -0,0 +1,120 @@
+/**
+ * Aircraft rotations
+ *
+ * Pairs each departure with the arrival that brings its aircraft in, so a
+ * late inbound can warn about the departure before the airline does:
+ *
+ *   1. the departure's inboundFaFlightId names the arrival (AeroAPI), else
+ *   2. the latest earlier arrival of the same registration that has not
+ *      left again since
+ *
+ * Both flights get a `rotation` reference to the other one. A departure that
+ * has not left yet also gets `predictedDelayMinutes` when its inbound is
+ * running late and cannot be turned around in time: gate arrival (or landing)
+ * plus the minimum turnaround, against the scheduled pushback.
+ */
+
+// Statuses after which a departure no longer needs a prediction
+const SETTLED_STATUSES = ['Departed', 'Cancelled', 'Diverted'];
+
+// Statuses of an inbound that will not bring the aircraft in
+const LOST_STATUSES = ['Cancelled', 'Diverted'];
+
+// Link processed arrivals and departures of one airport. Returns
+// { arrivals, departures } as new arrays; options are
+// { minTurnaroundMinutes, delayThresholdMinutes }.
+function linkRotations(arrivals, departures, options) {
+    const linkedArrivals = arrivals.map(flight => ({ ...flight, rotation: null }));
+    const linkedDepartures = departures.map(flight => ({ ...flight, rotation: null, predictedDelayMinutes: null }));
+
+    const byFaFlightId = new Map(linkedArrivals
+        .filter(flight => flight.faFlightId)
+        .map(flight => [flight.faFlightId, flight]));
+    const used = new Set();
+
+    // Explicit links first, so registration matching cannot take their arrivals
+    const pending = [];
+    linkedDepartures.forEach(departure => {
+        const inbound = departure.inboundFaFlightId && byFaFlightId.get(departure.inboundFaFlightId);
+        if (inbound && !used.has(inbound)) {
+            link(inbound, departure, 'inboundId', used, options);
+        } else {
+            pending.push(departure);
+        }
+    });
+
+    pending.forEach(departure => {
+        const inbound = findByRegistration(departure, linkedArrivals, linkedDepartures, used);
+        if (inbound) link(inbound, departure, 'registration', used, options);
+    });
+
+    return { arrivals: linkedArrivals, departures: linkedDepartures };
+}
+
+// Set the references both ways and predict the departure's delay
+function link(arrival, departure, linkedBy, used, options) {
+    used.add(arrival);
+    arrival.rotation = describe(departure, linkedBy);
+    departure.rotation = describe(arrival, linkedBy);
+    departure.predictedDelayMinutes = predictDelay(arrival, departure, options);
+}
+
+// Reference to the other flight of a rotation
+function describe(flight, linkedBy) {
+    return {
+        flightNumber: flight.flightNumber,
+        faFlightId: flight.faFlightId || null,
+        city: flight.origin || flight.destination,
+        code: flight.originCode || flight.destinationCode,
+        linkedBy: linkedBy
+    };
+}
+
+// Latest unused arrival of the departure's aircraft, scheduled after the
+// aircraft's previous departure and before this one
+function findByRegistration(departure, arrivals, departures, used) {
+    if (!departure.registration) return null;
+
+    const time = getTime(departure.scheduled);
+    const previousDeparture = Math.max(-Infinity, ...departures
+        .filter(other => other !== departure
+            && other.registration === departure.registration
+            && getTime(other.scheduled) < time)
+        .map(other => getTime(other.scheduled)));
+
+    return arrivals
+        .filter(arrival => !used.has(arrival)
+            && arrival.registration === departure.registration
+            && getTime(arrival.scheduled) < time
+            && getTime(arrival.scheduled) > previousDeparture)
+        .sort((a, b) => getTime(b.scheduled) - getTime(a.scheduled))[0] || null;
+}
+
+// Minutes the departure will leave late because of its inbound, or null when
+// the inbound is on time, gone, or leaves enough slack
+function predictDelay(arrival, departure, { minTurnaroundMinutes, delayThresholdMinutes }) {
+    if (SETTLED_STATUSES.includes(departure.status) || departure.actual) return null;
+    if (LOST_STATUSES.includes(arrival.status) || !(arrival.delayMinutes > 0)) return null;
+
+    const timeline = arrival.timeline || {};
+    const gateIn = timeline.gateIn || {};
+    const ready = getTime(gateIn.actual || gateIn.estimated || arrival.actual || arrival.estimated || arrival.scheduled);
+
+    const departureTimeline = departure.timeline || {};
+    const pushback = getTime((departureTimeline.gateOut || {}).scheduled || departure.scheduled);
+    if (isNaN(ready) || isNaN(pushback)) return null;
+
+    const minutes = Math.round((ready + minTurnaroundMinutes * 60000 - pushback) / 60000);
+    if (minutes <= delayThresholdMinutes || minutes <= (departure.delayMinutes || 0)) return null;
+
+    return minutes;
+}
+
+// Milliseconds of an ISO timestamp (NaN if missing)
+function getTime(value) {
+    return value ? new Date(value).getTime() : NaN;
+}
+
+module.exports = {
+    linkRotations
+};
@@ -0,0 +1,83 @@
+/**
+ * Feed schema
+ *
+ * schema/flights.v<N>.schema.json is the published contract for
+ * data/<iata>.json (and the archive snapshots, which are copies of it).
+ * Every file is validated against it before it is written, so a bad run
+ * fails instead of publishing data that downstream consumers can't read.
+ *
+ * Bump SCHEMA_VERSION (and add a new schema file) only for breaking
+ * changes; new optional fields go into the current schema. The published
+ * schema therefore leaves objects open, so consumers validating against an
+ * earlier copy of it still accept newer files, while the fetcher checks its
+ * own output with every object closed, so an undeclared field fails the run
+ * until it is added to the schema.
+ */
+
+const path = require('path');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+
+const SCHEMA_VERSION = 1;
+
+const SCHEMA_PATH = path.join(__dirname, '..', 'schema', `flights.v${SCHEMA_VERSION}.schema.json`);
+
+// Thrown when generated data does not match the schema
+class FlightDataValidationError extends Error {
+    constructor(errors) {
+        super(`Flight data does not match schema v${SCHEMA_VERSION}:\n${errors.join('\n')}`);
+        this.name = 'FlightDataValidationError';
+        this.errors = errors;
+    }
+}
+
+let validator = null;
+
+// Compile the schema once, on first use
+function getValidator() {
+    if (!validator) {
+        const ajv = new Ajv({ allErrors: true });
+        addFormats(ajv);
+        validator = ajv.compile(closeObjects(require(SCHEMA_PATH)));
+    }
+    return validator;
+}
+
+// Copy of a schema with additionalProperties: false on every object that
+// lists its properties and says nothing about others
+function closeObjects(schema) {
+    if (Array.isArray(schema)) return schema.map(closeObjects);
+    if (!schema || typeof schema !== 'object') return schema;
+
+    const closed = {};
+    Object.entries(schema).forEach(([key, value]) => {
+        closed[key] = closeObjects(value);
+    });
+    if (closed.properties && !('additionalProperties' in closed)) {
+        closed.additionalProperties = false;
+    }
+    return closed;
+}
+
+// List of "path: problem" strings, empty when the data is valid
+function validateFlightData(data) {
+    const validate = getValidator();
+    if (validate(data)) return [];
+
+    return validate.errors.map(error => `   ${error.instancePath || '/'}: ${error.message}`);
+}
+
+// Throw a FlightDataValidationError unless the data matches the schema
+function assertValidFlightData(data) {
+    const errors = validateFlightData(data);
+    if (errors.length > 0) {
+        throw new FlightDataValidationError(errors);
+    }
+}
+
+module.exports = {
+    SCHEMA_VERSION,
+    FlightDataValidationError,
+    validateFlightData,
+    assertValidFlightData
+};
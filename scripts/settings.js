@@ -0,0 +1,22 @@
+/**
+ * Numeric settings from the environment
+ *
+ * Read the same way by the fetcher and the providers: an unset or empty
+ * variable means the default, and anything other than a whole number at or
+ * above the minimum is an error rather than quietly becoming the default.
+ */
+
+// Whole number from env[name], or the default when it is unset
+function readCount(env, name, fallback, min = 0) {
+    const value = (env[name] || '').trim();
+    if (value === '') return fallback;
+
+    const parsed = Number(value);
+    if (Number.isInteger(parsed) && parsed >= min) return parsed;
+
+    throw new Error(`${name} must be a whole number of ${min} or more, got "${value}"`);
+}
+
+module.exports = {
+    readCount
+};
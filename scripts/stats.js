@@ -0,0 +1,108 @@
+/**
+ * Daily statistics
+ *
+ * Summarizes a run's processed flights for the feed's `stats` block, once
+ * for arrivals, once for departures and once for both together:
+ *
+ *   flights            rows on the board
+ *   byStatus           rows per status (only statuses that occur)
+ *   operated           flights with an actual time (cancelled and diverted
+ *                        flights excluded), the base for the next two
+ *   onTimePercent      operated flights not classed as Delayed, 0-100
+ *   averageDelayMinutes  mean delay of operated flights, early counted as 0
+ *   hourly             rows per scheduled local hour, 0-23
+ *   busiestHour        { hour, flights } with the most rows
+ *   topRoutes          other-end airports by rows: { code, city, flights }
+ *   topAirlines        { name, code, logo, flights }
+ *
+ * Percentages and averages are null when nothing has operated yet.
+ */
+
+// Entries kept in the top routes and airlines lists
+const TOP_COUNT = 5;
+
+// Stats for a day's processed arrivals and departures
+function computeStats(arrivals, departures, timezone) {
+    return {
+        overall: summarize([...arrivals, ...departures], timezone),
+        arrivals: summarize(arrivals, timezone),
+        departures: summarize(departures, timezone)
+    };
+}
+
+// Stats for one list of flights
+function summarize(flights, timezone) {
+    const byStatus = {};
+    const hourly = new Array(24).fill(0);
+
+    flights.forEach(flight => {
+        byStatus[flight.status] = (byStatus[flight.status] || 0) + 1;
+
+        const hour = getLocalHour(flight.scheduled, timezone);
+        if (hour !== null) hourly[hour]++;
+    });
+
+    const operated = flights.filter(flight => flight.actual
+        && flight.delayMinutes !== null
+        && flight.status !== 'Cancelled'
+        && flight.status !== 'Diverted');
+    const onTime = operated.filter(flight => flight.punctuality !== 'Delayed').length;
+    const totalDelay = operated.reduce((sum, flight) => sum + Math.max(0, flight.delayMinutes), 0);
+
+    const busiest = hourly.reduce((best, count, hour) => (count > hourly[best] ? hour : best), 0);
+
+    return {
+        flights: flights.length,
+        byStatus: byStatus,
+        operated: operated.length,
+        onTimePercent: operated.length ? Math.round((onTime / operated.length) * 100) : null,
+        averageDelayMinutes: operated.length ? Math.round(totalDelay / operated.length) : null,
+        hourly: hourly,
+        busiestHour: hourly[busiest] > 0 ? { hour: busiest, flights: hourly[busiest] } : null,
+        topRoutes: rank(flights, flight => {
+            const code = flight.originCode || flight.destinationCode;
+            return code && { code: code, city: flight.origin || flight.destination };
+        }, route => route.code),
+        topAirlines: rank(flights, flight => flight.airline !== '—' && {
+            name: flight.airline,
+            code: flight.airlineIata || flight.airlineCode || null,
+            logo: flight.airlineLogo || null
+        }, airline => airline.name)
+    };
+}
+
+// Most frequent entries: describe() maps a flight to an entry (or nothing),
+// keyOf() groups entries; ties keep the order the entries first appeared in
+function rank(flights, describe, keyOf) {
+    const counts = new Map();
+
+    flights.forEach(flight => {
+        const entry = describe(flight);
+        if (!entry) return;
+
+        const key = keyOf(entry);
+        const current = counts.get(key) || { ...entry, flights: 0 };
+        current.flights++;
+        counts.set(key, current);
+    });
+
+    return [...counts.values()]
+        .sort((a, b) => b.flights - a.flights)
+        .slice(0, TOP_COUNT);
+}
+
+// Hour of the day (0-23) of a timestamp in the airport's timezone
+function getLocalHour(time, timezone) {
+    const date = new Date(time);
+    if (!time || isNaN(date.getTime())) return null;
+
+    return parseInt(date.toLocaleString('en-US', {
+        hour: 'numeric',
+        hourCycle: 'h23',
+        timeZone: timezone
+    }), 10);
+}
+
+module.exports = {
+    computeStats
+};
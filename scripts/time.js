@@ -0,0 +1,126 @@
+/**
+ * Timezone helpers
+ *
+ * Works out local calendar dates and local-midnight boundaries for an
+ * airport's IANA timezone using only Intl, so no timezone library is needed.
+ */
+
+// Spans of flights the fetcher can publish (FLIGHT_WINDOW) and the board can show
+const WINDOW_MODES = ['today', 'rolling', 'today-tomorrow'];
+
+// Rolling window: from 2 hours ago to 22 hours ahead
+const ROLLING_HOURS_BEFORE = 2;
+const ROLLING_HOURS_AFTER = 22;
+
+// Local calendar date (YYYY-MM-DD) of a timestamp in the given timezone
+function getLocalDate(timestamp, timezone) {
+    return new Date(timestamp).toLocaleDateString('en-CA', { timeZone: timezone });
+}
+
+// Offset of the timezone from UTC at a given instant, in minutes (east positive)
+function getTimezoneOffsetMinutes(timezone, date) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+    }).formatToParts(date);
+
+    const value = {};
+    parts.forEach(part => { value[part.type] = parseInt(part.value, 10); });
+
+    const asUtc = Date.UTC(value.year, value.month - 1, value.day, value.hour, value.minute, value.second);
+    const wholeSeconds = Math.floor(date.getTime() / 1000) * 1000;
+    return Math.round((asUtc - wholeSeconds) / 60000);
+}
+
+// UTC instant of a local wall-clock time ("YYYY-MM-DDTHH:mm[:ss]") in the timezone
+function getUtcFromLocal(localTime, timezone) {
+    const [datePart, timePart = '00:00'] = localTime.split('T');
+    const [year, month, day] = datePart.split('-').map(Number);
+    const [hour, minute, second = 0] = timePart.split(':').map(Number);
+    const wallAsUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+
+    // The offset can differ between the wall time read as UTC and the real
+    // instant when a clock change falls in between, so correct once with the
+    // offset found
+    const offset = getTimezoneOffsetMinutes(timezone, new Date(wallAsUtc));
+    const guess = wallAsUtc - offset * 60000;
+    const correctedOffset = getTimezoneOffsetMinutes(timezone, new Date(guess));
+
+    return new Date(wallAsUtc - correctedOffset * 60000);
+}
+
+// UTC instant of local midnight at the start of a YYYY-MM-DD date
+function getLocalMidnight(dateStr, timezone) {
+    return getUtcFromLocal(`${dateStr}T00:00`, timezone);
+}
+
+// Add days to a YYYY-MM-DD date
+function addDays(dateStr, days) {
+    const [year, month, day] = dateStr.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+// Local "today" for the timezone: { date, start, end } with start/end as UTC Dates
+function getLocalDayRange(timezone, now = new Date()) {
+    const date = getLocalDate(now, timezone);
+    return {
+        date: date,
+        start: getLocalMidnight(date, timezone),
+        end: getLocalMidnight(addDays(date, 1), timezone)
+    };
+}
+
+// Window of flights for a mode, as { mode, date, start, end }: `date` is the
+// local day it is anchored on, start/end are UTC Dates
+//   today            local midnight to midnight
+//   rolling          2 hours ago to 22 hours ahead
+//   today-tomorrow   local midnight to the midnight after tomorrow
+function getWindowRange(mode, timezone, now = new Date()) {
+    const today = getLocalDayRange(timezone, now);
+
+    if (mode === 'rolling') {
+        return {
+            mode: mode,
+            date: today.date,
+            start: new Date(now.getTime() - ROLLING_HOURS_BEFORE * 3600000),
+            end: new Date(now.getTime() + ROLLING_HOURS_AFTER * 3600000)
+        };
+    }
+    if (mode === 'today-tomorrow') {
+        return {
+            mode: mode,
+            date: today.date,
+            start: today.start,
+            end: getLocalMidnight(addDays(today.date, 2), timezone)
+        };
+    }
+    return { mode: 'today', ...today };
+}
+
+// Local dates (YYYY-MM-DD) a window touches, in order
+function getWindowDates(range, timezone) {
+    const dates = [];
+    const last = getLocalDate(range.end.getTime() - 1, timezone);
+    for (let date = getLocalDate(range.start, timezone); date <= last; date = addDays(date, 1)) {
+        dates.push(date);
+    }
+    return dates;
+}
+
+module.exports = {
+    WINDOW_MODES,
+    addDays,
+    getLocalDate,
+    getLocalDayRange,
+    getWindowDates,
+    getWindowRange,
+    getLocalMidnight,
+    getTimezoneOffsetMinutes,
+    getUtcFromLocal
+};
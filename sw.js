@@ -0,0 +1,116 @@
+// Puerto Vallarta Flight Tracker - Service worker
+// Keeps the board usable on patchy connections: the page shell and the last
+// flight data are answered from a cache straight away and refreshed from the
+// network in the background (stale-while-revalidate). Each data refresh is
+// reported to the open boards, which pick up new data at once or show that
+// they are offline.
+
+'use strict';
+
+// Bump when the shell changes so the old cache is dropped on activation
+const CACHE_NAME = 'flight-tracker-v3';
+
+// Page shell, cached on install so the board opens without a connection
+const SHELL_ASSETS = [
+    './',
+    'index.html',
+    'styles.css?v=1.2',
+    'script.js',
+    'i18n.js',
+    'ics.js',
+    'manifest.webmanifest',
+    'assets/icons/icon.svg',
+    'assets/icons/icon-192.png'
+];
+
+self.addEventListener('install', event => {
+    event.waitUntil(caches.open(CACHE_NAME)
+        .then(cache => cache.addAll(SHELL_ASSETS))
+        .then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys
+            .filter(key => key !== CACHE_NAME)
+            .map(key => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    // data/<iata>.json, data/flights.json and the archive; the .ics and .atom
+    // feeds are for other apps and always go to the network
+    if (/\/data\/.+\.json$/.test(url.pathname)) {
+        event.respondWith(serveFlightData(event, url));
+    } else if (request.mode === 'navigate' || isShellAsset(url)) {
+        event.respondWith(serveShell(event, url));
+    }
+});
+
+// Whether a URL is part of the page shell (or an airline logo)
+function isShellAsset(url) {
+    const scope = new URL(self.registration.scope);
+    const path = url.pathname.slice(scope.pathname.length);
+    return SHELL_ASSETS.some(asset => new URL(asset, scope).href === url.href)
+        || path.startsWith('assets/');
+}
+
+// Cached copy first, refreshed from the network for next time. Pages are
+// cached without their query (?airport=, ?lang=, ?embed=...), which the
+// board reads itself.
+async function serveShell(event, url) {
+    const key = event.request.mode === 'navigate' ? url.origin + url.pathname : event.request;
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(key);
+
+    const network = fetch(event.request).then(response => {
+        if (response.ok) cache.put(key, response.clone());
+        return response;
+    });
+
+    if (!cached) return network;
+    event.waitUntil(network.catch(() => {}));
+    return cached;
+}
+
+// Flight data: the cached copy if there is one, while the network is asked
+// in the background (forwarding the board's If-None-Match). The open boards
+// then hear whether the copy was 'updated', is still 'current', or whether
+// the board is 'offline'. Like pages, data is cached without its query, so
+// a cache-busting parameter can't pile up copies that are never read again.
+async function serveFlightData(event, url) {
+    const request = event.request;
+    const key = url.origin + url.pathname;
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(key);
+
+    const network = fetch(request)
+        .then(async response => {
+            if (response.status === 200) {
+                const changed = !cached || await cached.clone().text() !== await response.clone().text();
+                await cache.put(key, response.clone());
+                if (cached) await report(key, changed ? 'updated' : 'current');
+            } else if (cached && response.status === 304) {
+                await report(key, 'current');
+            }
+            return response;
+        })
+        .catch(async error => {
+            if (cached) await report(key, 'offline');
+            throw error;
+        });
+
+    if (!cached) return network;
+    event.waitUntil(network.catch(() => {}));
+    return cached;
+}
+
+// Tell every open board how refreshing a data file went
+async function report(url, state) {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage({ type: 'flight-data', url: url, state: state }));
+}
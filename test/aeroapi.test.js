@@ -0,0 +1,119 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { fetchAirportFlights } = require('../scripts/aeroapi');
+const { startMockAeroApi } = require('./helpers/mock-aeroapi');
+
+const flight = ident => ({ ident_iata: ident, scheduled_on: '2026-01-10T18:00:00Z' });
+
+test('follows links.next until the last page', async () => {
+    const api = await startMockAeroApi([
+        { arrivals: [flight('AM330')], scheduled_departures: [flight('WS2412')] },
+        { scheduled_arrivals: [flight('AS1234')] },
+        { scheduled_arrivals: [flight('DL567')] }
+    ]);
+
+    try {
+        const result = await fetchAirportFlights('MMPR', {
+            apiKey: 'test-key',
+            baseUrl: api.baseUrl,
+            start: '2026-01-10T06:00:00.000Z',
+            end: '2026-01-11T06:00:00.000Z'
+        });
+
+        assert.strictEqual(result.pages, 3);
+        assert.strictEqual(result.complete, true);
+        assert.deepStrictEqual(result.arrivals.map(f => f.ident_iata), ['AM330']);
+        assert.deepStrictEqual(result.scheduled_arrivals.map(f => f.ident_iata), ['AS1234', 'DL567']);
+        assert.deepStrictEqual(result.scheduled_departures.map(f => f.ident_iata), ['WS2412']);
+
+        assert.match(api.requests[0].url, /^\/airports\/MMPR\/flights\?/);
+        assert.match(api.requests[0].url, /start=2026-01-10T06%3A00%3A00Z/);
+        assert.match(api.requests[0].url, /end=2026-01-11T06%3A00%3A00Z/);
+        assert.strictEqual(api.requests[1].url, '/airports/MMPR/flights?cursor=page1');
+        assert.strictEqual(api.requests[0].headers['x-apikey'], 'test-key');
+    } finally {
+        await api.close();
+    }
+});
+
+test('stops at the page budget and reports the result as incomplete', async () => {
+    const api = await startMockAeroApi([
+        { scheduled_arrivals: [flight('A1')] },
+        { scheduled_arrivals: [flight('A2')] },
+        { scheduled_arrivals: [flight('A3')] }
+    ]);
+
+    try {
+        const result = await fetchAirportFlights('MMPR', { baseUrl: api.baseUrl, maxPages: 2 });
+
+        assert.strictEqual(result.pages, 2);
+        assert.strictEqual(result.complete, false);
+        assert.strictEqual(api.requests.length, 2);
+        assert.deepStrictEqual(result.scheduled_arrivals.map(f => f.ident_iata), ['A1', 'A2']);
+    } finally {
+        await api.close();
+    }
+});
+
+test('retries 429 and 5xx responses with backoff', async () => {
+    const api = await startMockAeroApi([
+        { status: 429, headers: { 'Retry-After': '0' } },
+        { status: 503 },
+        { arrivals: [flight('AM330')], links: null }
+    ]);
+
+    try {
+        const result = await fetchAirportFlights('MMPR', { baseUrl: api.baseUrl, retryDelayMs: 1 });
+
+        assert.strictEqual(api.requests.length, 3);
+        assert.strictEqual(result.pages, 1);
+        assert.deepStrictEqual(result.arrivals.map(f => f.ident_iata), ['AM330']);
+    } finally {
+        await api.close();
+    }
+});
+
+test('retries dropped connections', async () => {
+    const api = await startMockAeroApi([
+        { drop: true },
+        { arrivals: [flight('AM330')], links: null }
+    ]);
+
+    try {
+        const result = await fetchAirportFlights('MMPR', { baseUrl: api.baseUrl, retryDelayMs: 1 });
+
+        assert.strictEqual(api.requests.length, 2);
+        assert.deepStrictEqual(result.arrivals.map(f => f.ident_iata), ['AM330']);
+    } finally {
+        await api.close();
+    }
+});
+
+test('gives up after maxRetries and surfaces the API error', async () => {
+    const api = await startMockAeroApi([{ status: 500, body: 'upstream down' }]);
+
+    try {
+        await assert.rejects(
+            fetchAirportFlights('MMPR', { baseUrl: api.baseUrl, maxRetries: 2, retryDelayMs: 1 }),
+            /API request failed: 500[\s\S]*upstream down/
+        );
+        assert.strictEqual(api.requests.length, 3);
+    } finally {
+        await api.close();
+    }
+});
+
+test('does not retry client errors', async () => {
+    const api = await startMockAeroApi([{ status: 401, body: 'bad key' }]);
+
+    try {
+        await assert.rejects(
+            fetchAirportFlights('MMPR', { baseUrl: api.baseUrl, retryDelayMs: 1 }),
+            /API request failed: 401/
+        );
+        assert.strictEqual(api.requests.length, 1);
+    } finally {
+        await api.close();
+    }
+});
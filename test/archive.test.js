@@ -0,0 +1,125 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { writeArchive } = require('../scripts/archive');
+const { getAirport } = require('../scripts/airports');
+const { getWindowRange } = require('../scripts/time');
+const { computeStats } = require('../scripts/stats');
+
+const PVR = getAirport('PVR');
+
+// Processed record with the fields the archive and stats read; times are UTC, PVR is UTC-6
+const flight = (flightNumber, scheduled, fields = {}) => ({
+    flightNumber,
+    faFlightId: null,
+    airline: 'Aeroméxico',
+    airlineCode: 'AMX',
+    airlineLogo: null,
+    origin: 'Mexico City',
+    originCode: 'MEX',
+    scheduled,
+    actual: null,
+    delayMinutes: null,
+    status: 'Scheduled',
+    punctuality: null,
+    ...fields
+});
+
+// Feed as the fetcher writes it, for a run at `now` over a window mode
+function feed(now, mode, arrivals, departures = []) {
+    const range = getWindowRange(mode, PVR.timezone, now);
+    return {
+        schemaVersion: 1,
+        lastUpdated: now.toISOString(),
+        lastSuccessfulUpdate: now.toISOString(),
+        stale: false,
+        airport: { ...PVR },
+        meta: { provider: 'fixture', window: { mode, start: range.start.toISOString(), end: range.end.toISOString() } },
+        stats: computeStats(arrivals, departures, PVR.timezone),
+        arrivals,
+        departures
+    };
+}
+
+function withArchiveDir(check) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'archive-'));
+    const read = name => JSON.parse(fs.readFileSync(path.join(dataDir, 'archive', 'pvr', name), 'utf8'));
+    try {
+        check(dataDir, read);
+    } finally {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+}
+
+test('files each flight under its scheduled local date, with that day\'s stats', () => {
+    // 14:00 on Saturday 14 March; the 20:00 departure is the same local day
+    // even though it is the 15th in UTC
+    const now = new Date('2026-03-14T20:00:00Z');
+    const data = feed(now, 'today-tomorrow', [
+        flight('AM640', '2026-03-14T18:00:00Z', { actual: '2026-03-14T18:05:00Z', delayMinutes: 5, status: 'Landed', punctuality: 'On Time' }),
+        flight('AM642', '2026-03-15T02:00:00Z'),
+        flight('AM640', '2026-03-15T18:00:00Z')
+    ]);
+
+    withArchiveDir((dataDir, read) => {
+        assert.deepStrictEqual(writeArchive(dataDir, PVR, data, 90), ['2026-03-14', '2026-03-15']);
+
+        const today = read('2026-03-14.json');
+        const tomorrow = read('2026-03-15.json');
+        assert.deepStrictEqual(today.arrivals.map(f => f.scheduled), ['2026-03-14T18:00:00Z', '2026-03-15T02:00:00Z']);
+        assert.deepStrictEqual(tomorrow.arrivals.map(f => f.scheduled), ['2026-03-15T18:00:00Z']);
+        assert.strictEqual(today.stats.overall.operated, 1);
+        assert.strictEqual(tomorrow.stats.overall.flights, 1);
+        assert.strictEqual(tomorrow.stats.overall.operated, 0);
+
+        // Tomorrow is kept on file, but only listed once it has started
+        assert.deepStrictEqual(read('index.json').days.map(day => [day.date, day.arrivals, day.operated]), [
+            ['2026-03-14', 2, 1]
+        ]);
+
+        const nextDay = feed(new Date('2026-03-15T20:00:00Z'), 'today-tomorrow', [flight('AM640', '2026-03-15T18:00:00Z')]);
+        writeArchive(dataDir, PVR, nextDay, 1);
+        assert.deepStrictEqual(read('index.json').days.map(day => day.date), ['2026-03-15']);
+    });
+});
+
+test('a rolling window keeps the morning it has moved past from the day\'s earlier snapshot', () => {
+    const morning = new Date('2026-03-14T13:00:00Z'); // 07:00, window 05:00 to 05:00 tomorrow
+    const afternoon = new Date('2026-03-14T20:00:00Z'); // 14:00, window 12:00 to 12:00 tomorrow
+
+    withArchiveDir((dataDir, read) => {
+        writeArchive(dataDir, PVR, feed(morning, 'rolling', [
+            flight('AM100', '2026-03-14T14:00:00Z'), // 08:00
+            flight('AM200', '2026-03-14T19:00:00Z'), // 13:00
+            flight('AM300', '2026-03-14T21:00:00Z')  // 15:00, later dropped by the airline
+        ]), 90);
+
+        writeArchive(dataDir, PVR, feed(afternoon, 'rolling', [
+            flight('AM200', '2026-03-14T19:00:00Z', { status: 'Cancelled' }),
+            flight('AM400', '2026-03-15T16:00:00Z')  // 10:00 tomorrow
+        ]), 90);
+
+        // 08:00 comes from the morning run, since the new window starts at
+        // 12:00; inside the window only the new data counts
+        const today = read('2026-03-14.json');
+        assert.deepStrictEqual(today.arrivals.map(f => [f.flightNumber, f.status]), [['AM100', 'Scheduled'], ['AM200', 'Cancelled']]);
+        assert.strictEqual(today.lastUpdated, afternoon.toISOString());
+        assert.deepStrictEqual(read('2026-03-15.json').arrivals.map(f => f.flightNumber), ['AM400']);
+    });
+});
+
+test('dates data without a window by the run, and prunes days past retention', () => {
+    withArchiveDir((dataDir, read) => {
+        ['2026-03-12', '2026-03-13', '2026-03-14'].forEach(date => {
+            const data = feed(new Date(`${date}T20:00:00Z`), 'today', [flight('AM640', `${date}T18:00:00Z`)]);
+            delete data.meta;
+            writeArchive(dataDir, PVR, data, 2);
+        });
+
+        assert.deepStrictEqual(read('index.json').days.map(day => day.date), ['2026-03-14', '2026-03-13']);
+        assert.ok(!fs.existsSync(path.join(dataDir, 'archive', 'pvr', '2026-03-12.json')));
+    });
+});
@@ -0,0 +1,701 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { loadBoard } = require('./helpers/board');
+const { SCHEMA_VERSION } = require('../scripts/schema');
+const { getAirport } = require('../scripts/airports');
+const { computeStats } = require('../scripts/stats');
+
+// 14:00 in Puerto Vallarta (UTC-6)
+const NOW = new Date('2026-03-14T20:00:00Z');
+const at = minutes => new Date(NOW.getTime() + minutes * 60000).toISOString();
+
+const flight = fields => ({
+    flightNumber: 'AM640',
+    codeshares: [],
+    faFlightId: null,
+    airline: 'Aeroméxico',
+    airlineCode: 'AMX',
+    airlineIata: 'AM',
+    airlineLogo: 'assets/airlines/AM.svg',
+    origin: null,
+    originCode: null,
+    originName: null,
+    originCountry: null,
+    destination: null,
+    destinationCode: null,
+    destinationName: null,
+    destinationCountry: null,
+    scheduled: at(0),
+    estimated: null,
+    actual: null,
+    delayMinutes: null,
+    status: 'Scheduled',
+    punctuality: null,
+    terminal: null,
+    gate: null,
+    ...fields
+});
+
+const arrival = fields => flight({ origin: 'Mexico City', originCode: 'MEX', originName: 'Benito Juárez International Airport', originCountry: 'MX', ...fields });
+const departure = fields => flight({ destination: 'Calgary', destinationCode: 'YYC', destinationName: 'Calgary International Airport', destinationCountry: 'CA', ...fields });
+
+function feed(overrides = {}) {
+    return {
+        schemaVersion: SCHEMA_VERSION,
+        lastUpdated: at(-30),
+        lastSuccessfulUpdate: at(-30),
+        stale: false,
+        airport: getAirport('PVR'),
+        arrivals: [
+            arrival({ flightNumber: 'AM640', codeshares: ['DL7711'], scheduled: at(-120), actual: at(-125), delayMinutes: -5, status: 'Landed', punctuality: 'On Time' }),
+            arrival({ flightNumber: 'WS2412', airline: 'WestJet', airlineCode: 'WJA', airlineIata: 'WS', airlineLogo: 'assets/airlines/WS.svg', origin: 'Calgary', originCode: 'YYC', scheduled: at(60), estimated: at(100), delayMinutes: 40, status: 'Delayed', punctuality: 'Delayed' }),
+            arrival({ flightNumber: 'Y4820', airline: 'Volaris', airlineCode: 'VOI', airlineIata: 'Y4', airlineLogo: 'assets/airlines/Y4.svg', origin: 'Tijuana', originCode: 'TIJ', scheduled: at(180), status: 'Cancelled' })
+        ],
+        departures: [
+            departure({ flightNumber: 'WS2413', airline: 'WestJet', airlineCode: 'WJA', airlineIata: 'WS', airlineLogo: 'assets/airlines/WS.svg', scheduled: at(240), status: 'On Time', punctuality: 'On Time', delayMinutes: 0, estimated: at(240) })
+        ],
+        ...overrides
+    };
+}
+
+// Flight number in a row's text
+const flightNumberOf = row => row.match(/\b[A-Z0-9]{2}\d{1,4}\b/)[0];
+
+async function withBoard(options, check) {
+    const board = await loadBoard({ now: NOW, ...options });
+    try {
+        await check(board);
+        assert.deepStrictEqual(board.errors.map(error => error.message), [], 'uncaught errors in the page');
+    } finally {
+        board.close();
+    }
+}
+
+test('renders arrivals with airline, city and status', async () => {
+    await withBoard({ files: { 'data/pvr.json': feed() } }, async ({ document, rows }) => {
+        assert.deepStrictEqual(rows(), [
+            '12:00 11:55 AM640 also DL7711 Aeroméxico Mexico City (MEX) Landed',
+            '15:00 15:40 WS2412 WestJet Calgary (YYC) Delayed',
+            '17:00 Y4820 Volaris Tijuana (TIJ) Cancelled'
+        ]);
+
+        const firstRow = document.querySelector('#flight-tbody tr');
+        assert.strictEqual(firstRow.querySelector('.airline-logo').getAttribute('src'), 'assets/airlines/AM.svg');
+        assert.strictEqual(firstRow.querySelector('.status-badge').className, 'status-badge status-landed');
+        assert.ok(firstRow.querySelector('s.time-original'), 'scheduled time is struck through when it changed');
+        assert.strictEqual(document.getElementById('airport-city').textContent, 'Puerto Vallarta');
+    });
+});
+
+test('keeps quotes in provider data inside attribute values', async () => {
+    const data = feed({
+        arrivals: [arrival({ originName: 'x" onmouseover="alert(1)', airlineLogo: "assets/x.svg' onerror='alert(1)" })]
+    });
+
+    await withBoard({ files: { 'data/pvr.json': data } }, async ({ document }) => {
+        const row = document.querySelector('#flight-tbody tr[data-flight-id]');
+        assert.strictEqual(row.querySelector('.city-name').getAttribute('title'), 'x" onmouseover="alert(1)');
+        assert.strictEqual(row.querySelector('.city-name').hasAttribute('onmouseover'), false);
+        assert.strictEqual(row.querySelector('.airline-logo').getAttribute('src'), "assets/x.svg' onerror='alert(1)");
+        assert.strictEqual(row.querySelector('.airline-logo').getAttribute('onerror'), 'this.remove()');
+    });
+});
+
+test('switches to departures', async () => {
+    await withBoard({ files: { 'data/pvr.json': feed() } }, async ({ document, rows, window }) => {
+        document.querySelector('.tab-btn[data-tab="departures"]').click();
+
+        assert.deepStrictEqual(rows(), ['18:00 WS2413 WestJet Calgary (YYC) On Time']);
+        assert.match(window.location.hash, /tab=departures/);
+    });
+});
+
+test('search and filter chips narrow the list and are kept in the hash', async () => {
+    await withBoard({ files: { 'data/pvr.json': feed() } }, async ({ document, rows, window }) => {
+        const search = document.getElementById('flight-search');
+        search.value = 'westjet';
+        search.dispatchEvent(new window.Event('input'));
+        assert.deepStrictEqual(rows().map(flightNumberOf), ['WS2412']);
+        assert.match(window.location.hash, /q=westjet/);
+
+        search.value = '';
+        search.dispatchEvent(new window.Event('input'));
+        document.querySelector('[data-filter="hide-cancelled"]').click();
+        document.querySelector('[data-filter="hide-completed"]').click();
+        assert.strictEqual(rows().length, 1);
+        assert.match(rows()[0], /WS2412/);
+
+        search.value = 'nowhere';
+        search.dispatchEvent(new window.Event('input'));
+        assert.deepStrictEqual(rows(), ['🔍 No flights match your search or filters']);
+    });
+});
+
+test('restores filters from a shared link', async () => {
+    await withBoard({ files: { 'data/pvr.json': feed() }, query: '#hide=cancelled&q=mex' }, async ({ rows, document }) => {
+        assert.deepStrictEqual(rows().map(flightNumberOf), ['AM640']);
+        assert.strictEqual(document.getElementById('flight-search').value, 'mex');
+    });
+
+    // next2h has no fixed hours, but is a window all the same
+    await withBoard({ files: { 'data/pvr.json': feed() }, query: '#time=next2h' }, async ({ rows, window }) => {
+        assert.deepStrictEqual(rows().map(flightNumberOf), ['WS2412']);
+        assert.strictEqual(window.location.hash, '#time=next2h');
+    });
+});
+
+test('shows arrivals due within minutes as landing now', async () => {
+    const data = feed({
+        arrivals: [arrival({ flightNumber: 'AM222', scheduled: at(5), estimated: at(3), status: 'On Time', punctuality: 'On Time', delayMinutes: -2 })]
+    });
+
+    await withBoard({ files: { 'data/pvr.json': data } }, async ({ rows }) => {
+        assert.match(rows()[0], /Landing now$/);
+    });
+});
+
+test('translates the board with ?lang=es', async () => {
+    await withBoard({ files: { 'data/pvr.json': feed() }, query: '?lang=es' }, async ({ document, rows }) => {
+        assert.strictEqual(document.documentElement.lang, 'es');
+        assert.match(rows()[2], /Cancelado$/);
+        assert.strictEqual(document.querySelector('.tab-btn[data-tab="arrivals"] span').textContent, 'Llegadas');
+    });
+});
+
+test('warns when the data is stale', async () => {
+    const data = feed({ stale: true, lastUpdated: at(-5), error: { message: 'Failed', details: '500', time: at(-5) } });
+
+    await withBoard({ files: { 'data/pvr.json': data } }, async ({ document, rows }) => {
+        const banner = document.getElementById('stale-banner');
+        assert.strictEqual(banner.hidden, false);
+        assert.match(banner.textContent, /may be outdated/);
+        assert.strictEqual(rows().length, 3);
+    });
+});
+
+test('flags data in an unknown schema version but still shows it', async () => {
+    const data = feed({ schemaVersion: SCHEMA_VERSION + 1 });
+
+    await withBoard({ files: { 'data/pvr.json': data } }, async ({ document, rows }) => {
+        const banner = document.getElementById('schema-banner');
+        assert.strictEqual(banner.hidden, false);
+        assert.match(banner.textContent, /does not recognise the format/);
+        assert.strictEqual(rows().length, 3);
+    });
+});
+
+test('shows the empty and error states', async () => {
+    await withBoard({ files: { 'data/pvr.json': feed({ arrivals: [] }) } }, async ({ rows }) => {
+        assert.deepStrictEqual(rows(), ['✈️ No arrivals scheduled for today']);
+    });
+
+    await withBoard({ files: {} }, async ({ rows }) => {
+        assert.deepStrictEqual(rows(), ['⚠️ Unable to load flight information. Please try again later.']);
+    });
+});
+
+test('keeps showing the last data with an offline notice when it cannot be refreshed', async () => {
+    const files = { 'data/pvr.json': feed() };
+
+    await withBoard({ files }, async ({ document, window, rows, settle }) => {
+        const banner = document.getElementById('offline-banner');
+        assert.strictEqual(banner.hidden, true);
+
+        const fetch = window.fetch;
+        window.fetch = async () => {
+            throw new TypeError('Failed to fetch');
+        };
+        document.dispatchEvent(new window.Event('visibilitychange'));
+        await settle();
+
+        assert.strictEqual(banner.hidden, false);
+        assert.match(banner.textContent, /^Offline — showing data from Mar 14, .*Puerto Vallarta/);
+        assert.strictEqual(rows().length, 3);
+
+        window.fetch = fetch;
+        window.dispatchEvent(new window.Event('online'));
+        await settle();
+        assert.strictEqual(banner.hidden, true);
+    });
+
+    await withBoard({ files: {}, setup: window => Object.defineProperty(window.navigator, 'onLine', { get: () => false }) }, async ({ rows }) => {
+        assert.deepStrictEqual(rows(), ['⚠️ You’re offline and no saved flight information is available yet.']);
+    });
+});
+
+test('follows the service worker\'s reports on background refreshes', async () => {
+    const files = { 'data/pvr.json': feed() };
+    let worker;
+    const setup = window => {
+        worker = new window.EventTarget();
+        worker.register = async () => ({});
+        Object.defineProperty(window.navigator, 'serviceWorker', { value: worker });
+    };
+    const report = (window, state, url = 'http://localhost/data/pvr.json') => {
+        worker.dispatchEvent(new window.MessageEvent('message', { data: { type: 'flight-data', url, state } }));
+    };
+
+    await withBoard({ files, setup }, async ({ document, window, rows, settle }) => {
+        const banner = document.getElementById('offline-banner');
+
+        report(window, 'offline', 'http://localhost/data/gdl.json');
+        assert.strictEqual(banner.hidden, true, 'reports about other files are ignored');
+
+        report(window, 'offline');
+        assert.strictEqual(banner.hidden, false);
+
+        files['data/pvr.json'] = feed({ arrivals: feed().arrivals.slice(0, 1) });
+        report(window, 'updated');
+        await settle();
+        assert.strictEqual(banner.hidden, true);
+        assert.strictEqual(rows().length, 1);
+    });
+});
+
+test('downloads a calendar event for a flight', async () => {
+    await withBoard({ files: { 'data/pvr.json': feed() } }, async ({ document, window, settle }) => {
+        const downloads = [];
+        window.URL.createObjectURL = blob => `blob:${downloads.push(blob)}`;
+        window.URL.revokeObjectURL = () => {};
+        document.addEventListener('click', event => {
+            if (event.target.download) {
+                event.preventDefault();
+                downloads.push(event.target.download);
+            }
+        });
+
+        document.querySelectorAll('#flight-tbody .calendar-btn')[1].click();
+        await settle();
+
+        const [blob, filename] = downloads;
+        assert.strictEqual(filename, 'WS2412-2026-03-14.ics');
+        // jsdom's Blob has no text(); read it the older way
+        const ics = await new Promise(resolve => {
+            const reader = new window.FileReader();
+            reader.onload = () => resolve(reader.result.replace(/\r\n /g, ''));
+            reader.readAsText(blob);
+        });
+        assert.match(ics, /SUMMARY:Arrival WS2412 from Calgary \(YYC\)/);
+        assert.match(ics, /DTSTART:20260314T214000Z/);
+        assert.match(ics, /Expected: 15:40/);
+        assert.match(document.querySelector('.calendar-feed').getAttribute('href'), /^data\/pvr-arrivals\.ics$/);
+    });
+});
+
+test('embed mode pins a tab, filters by airline and limits the rows', async () => {
+    const query = '?embed=1&tab=departures&airline=ws,volaris&rows=1&theme=dark&footer=0';
+    const data = feed({
+        departures: [
+            departure({ flightNumber: 'WS2411', airline: 'WestJet', airlineCode: 'WJA', airlineIata: 'WS', scheduled: at(-60), actual: at(-55), status: 'Departed' }),
+            departure({ flightNumber: 'AM641', scheduled: at(30) }),
+            departure({ flightNumber: 'Y4821', airline: 'Volaris', airlineCode: 'VOI', airlineIata: 'Y4', scheduled: at(90) }),
+            departure({ flightNumber: 'WS2413', airline: 'WestJet', airlineCode: 'WJA', airlineIata: 'WS', scheduled: at(240) })
+        ]
+    });
+
+    await withBoard({ files: { 'data/pvr.json': data }, query }, async ({ document, rows, window }) => {
+        assert.deepStrictEqual(rows().map(flightNumberOf), ['Y4821']);
+        assert.strictEqual(document.documentElement.dataset.theme, 'dark');
+        assert.deepStrictEqual([...document.body.classList].sort(), ['embed', 'no-footer', 'single-tab']);
+
+        // A shared link's hash can't switch a pinned tab
+        window.location.hash = 'tab=arrivals';
+        window.dispatchEvent(new window.HashChangeEvent('hashchange'));
+        assert.deepStrictEqual(rows().map(flightNumberOf), ['Y4821']);
+    });
+});
+
+test('posts its height to the embedding page', async () => {
+    const messages = [];
+    const setup = window => {
+        Object.defineProperty(window, 'parent', { value: { postMessage: (message, origin) => messages.push([message, origin]) } });
+    };
+
+    await withBoard({ files: { 'data/pvr.json': feed() }, query: '?embed=1', setup }, async ({ settle }) => {
+        await settle();
+        assert.ok(messages.length >= 1);
+        const [message, origin] = messages[messages.length - 1];
+        assert.strictEqual(message.type, 'flight-tracker:height');
+        assert.strictEqual(typeof message.height, 'number');
+        assert.strictEqual(origin, '*');
+    });
+});
+
+test('kiosk mode pages through the rows, alternates tabs and flips changed cells', async () => {
+    const files = { 'data/pvr.json': feed() };
+    const timers = new Map();
+    const setup = window => {
+        window.setInterval = (callback, ms) => timers.set(ms, callback);
+    };
+    const turnPage = () => timers.get(7000)();
+    const visible = document => [...document.querySelectorAll('#flight-tbody tr:not([hidden])')]
+        .map(row => flightNumberOf(row.textContent));
+    const flipped = row => [...row.cells].map(cell => cell.classList.contains('flap'));
+
+    await withBoard({ files, setup, query: '?kiosk=1&page=2&seconds=7&flap=1' }, async ({ document, window, settle }) => {
+        const pageEl = document.getElementById('kiosk-page');
+        assert.ok(document.body.classList.contains('kiosk'));
+        assert.strictEqual(document.getElementById('kiosk-clock').textContent, '14:00');
+        assert.deepStrictEqual(visible(document), ['AM640', 'WS2412']);
+        assert.strictEqual(pageEl.textContent, 'Page 1 of 2');
+
+        turnPage();
+        assert.deepStrictEqual(visible(document), ['Y4820']);
+        assert.strictEqual(pageEl.textContent, 'Page 2 of 2');
+        assert.ok(flipped(document.querySelector('#flight-tbody tr:not([hidden])')).every(Boolean));
+
+        // After the last page, the other tab
+        turnPage();
+        await settle();
+        assert.ok(document.querySelector('.tab-btn[data-tab="departures"]').classList.contains('active'));
+        assert.deepStrictEqual(visible(document), ['WS2413']);
+        assert.strictEqual(pageEl.textContent, '');
+
+        // A refresh flips only the cells that changed
+        files['data/pvr.json'] = feed({
+            departures: [departure({ flightNumber: 'WS2413', airline: 'WestJet', airlineCode: 'WJA', airlineIata: 'WS', scheduled: at(240), estimated: at(270), delayMinutes: 30, status: 'Delayed', punctuality: 'Delayed' })]
+        });
+        document.dispatchEvent(new window.Event('visibilitychange'));
+        await settle();
+        assert.deepStrictEqual(flipped(document.querySelector('#flight-tbody tr[data-flight-id]')), [true, false, false, false, true]);
+
+        turnPage();
+        await settle();
+        assert.deepStrictEqual(visible(document), ['AM640', 'WS2412']);
+    });
+});
+
+test('keeps quotes in a flight number inside the row and drawer attributes', async () => {
+    const number = 'AM6"40 onclick="alert(1)';
+    const data = feed({ arrivals: [arrival({ flightNumber: number })] });
+
+    await withBoard({ files: { 'data/pvr.json': data } }, async ({ document }) => {
+        const row = document.querySelector('#flight-tbody tr[data-flight-id]');
+        const toggle = row.querySelector('.details-toggle');
+        assert.strictEqual(row.dataset.flightNumber, number);
+        assert.strictEqual(toggle.dataset.flightNumber, number);
+        assert.deepStrictEqual([...toggle.attributes].map(attribute => attribute.name).filter(name => name.startsWith('on')), []);
+
+        toggle.click();
+        assert.ok(document.getElementById(toggle.getAttribute('aria-controls')), 'the drawer opens for the flight');
+    });
+});
+
+test('opens a detail drawer with the flight timeline', async () => {
+    const times = (scheduled, estimated, actual) => ({ scheduled: at(scheduled), estimated: estimated == null ? null : at(estimated), actual: actual == null ? null : at(actual) });
+    const data = feed({
+        arrivals: [
+            arrival({
+                flightNumber: 'AM640',
+                scheduled: at(-120),
+                actual: at(-125),
+                status: 'Landed',
+                terminal: '1',
+                gate: 'B2',
+                baggageClaim: '2',
+                aircraftType: 'B38M',
+                registration: 'XA-AMX',
+                distanceKm: 901,
+                timeline: {
+                    gateOut: times(-230, -230, -225),
+                    takeoff: times(-215, -215, -213),
+                    landing: times(-120, -120, -125),
+                    gateIn: times(-110, -110, null)
+                }
+            }),
+            arrival({ flightNumber: 'WS2412', scheduled: at(60) })
+        ]
+    });
+
+    await withBoard({ files: { 'data/pvr.json': data } }, async ({ document }) => {
+        const toggle = document.querySelector('.details-toggle');
+        assert.strictEqual(toggle.getAttribute('aria-expanded'), 'false');
+        toggle.click();
+
+        const drawer = document.getElementById(toggle.getAttribute('aria-controls'));
+        assert.ok(drawer, 'drawer is rendered under the row');
+        assert.strictEqual(document.querySelector('.details-toggle').getAttribute('aria-expanded'), 'true');
+        assert.strictEqual(document.activeElement, document.querySelector('.details-toggle'));
+
+        const facts = [...drawer.querySelectorAll('.details-facts div')].map(fact => fact.textContent);
+        assert.deepStrictEqual(facts, ['Terminal1', 'GateB2', 'Baggage claim2', 'AircraftB38M', 'RegistrationXA-AMX', 'Distance901 km']);
+
+        const timeline = [...drawer.querySelectorAll('.details-timeline tbody tr')]
+            .map(row => [...row.children].map(cell => cell.textContent.trim()));
+        assert.deepStrictEqual(timeline, [
+            ['Gate out', '10:10', '10:10', '10:15'],
+            ['Takeoff', '10:25', '10:25', '10:27'],
+            ['Landing', '12:00', '12:00', '11:55'],
+            ['Gate in', '12:10', '12:10', '—']
+        ]);
+
+        // Flights without the extra fields (e.g. older archive files) say so
+        document.querySelector('tr[data-flight-number="WS2412"]').click();
+        assert.match(document.getElementById('details-arrivals-WS2412').textContent, /No further details/);
+
+        document.querySelector('.details-toggle').click();
+        assert.strictEqual(document.getElementById('details-arrivals-AM640'), null);
+    });
+});
+
+test('flags departures waiting for a late inbound aircraft', async () => {
+    const data = feed();
+    data.arrivals[1].rotation = { flightNumber: 'WS2413', faFlightId: null, city: 'Calgary', code: 'YYC', linkedBy: 'registration' };
+    data.departures = [
+        departure({
+            flightNumber: 'WS2413',
+            scheduled: at(120),
+            estimated: at(120),
+            delayMinutes: 0,
+            status: 'On Time',
+            punctuality: 'On Time',
+            rotation: { flightNumber: 'WS2412', faFlightId: null, city: 'Calgary', code: 'YYC', linkedBy: 'registration' },
+            predictedDelayMinutes: 25
+        }),
+        departure({ flightNumber: 'AM641', scheduled: at(180), rotation: null, predictedDelayMinutes: null })
+    ];
+
+    await withBoard({ files: { 'data/pvr.json': data }, query: '#tab=departures' }, async ({ document }) => {
+        const notes = [...document.querySelectorAll('#flight-tbody .rotation-note')];
+        assert.strictEqual(notes.length, 1);
+        assert.strictEqual(notes[0].textContent, 'Inbound aircraft delayed');
+        assert.strictEqual(notes[0].closest('tr').dataset.flightNumber, 'WS2413');
+        assert.match(notes[0].title, /WS2412 is running late: expect a delay of about 25 min/);
+
+        document.querySelector('tr[data-flight-number="WS2413"]').click();
+        const facts = [...document.querySelectorAll('#details-departures-WS2413 .details-facts div')].map(fact => fact.textContent);
+        assert.deepStrictEqual(facts, ['Inbound flightWS2412 from Calgary (YYC)', 'Expected delay+25 min']);
+    });
+});
+
+test('labels diverted flights and the flights continuing them', async () => {
+    const data = feed();
+    data.arrivals = [
+        arrival({
+            flightNumber: 'AM640',
+            scheduled: at(-60),
+            status: 'Diverted',
+            divertedTo: { city: 'Guadalajara', code: 'GDL' },
+            recovery: { flightNumber: 'AM640', faFlightId: null, scheduled: at(90), estimated: at(100) }
+        }),
+        arrival({ flightNumber: 'WS2412', origin: 'Calgary', originCode: 'YYC', scheduled: at(30), status: 'Diverted', divertedTo: { city: 'Puerto Vallarta', code: 'PVR' } }),
+        arrival({
+            flightNumber: 'AM640',
+            origin: 'Guadalajara',
+            originCode: 'GDL',
+            scheduled: at(90),
+            estimated: at(100),
+            recoveryOf: { flightNumber: 'AM640', faFlightId: null, scheduled: at(-60), estimated: null }
+        })
+    ];
+
+    await withBoard({ files: { 'data/pvr.json': data } }, async ({ document }) => {
+        const notes = [...document.querySelectorAll('#flight-tbody .diversion-note')].map(note => [note.closest('tr').dataset.flightId, note.textContent]);
+        assert.deepStrictEqual(notes, [
+            ['AM640@2026-03-14', 'Diverted to GDL'],
+            ['WS2412@2026-03-14', 'Diverted here'],
+            ['AM640@2026-03-14+recovery', 'Continues after diversion']
+        ]);
+
+        document.querySelector('tr[data-flight-id="AM640@2026-03-14"]').click();
+        const facts = [...document.querySelectorAll('#details-arrivals-AM640 .details-facts div')].map(fact => fact.textContent);
+        assert.deepStrictEqual(facts, ['Diverted toGuadalajara (GDL)', 'Continues asAM640 at 15:40']);
+
+        document.querySelector('tr[data-flight-id="AM640@2026-03-14+recovery"]').click();
+        const recoveryFacts = [...document.querySelectorAll('#details-arrivals-AM640-recovery .details-facts div')].map(fact => fact.textContent);
+        assert.deepStrictEqual(recoveryFacts, ['Diverted flightAM640 at 13:00']);
+    });
+});
+
+test('spans two days with day headings and +1 badges', async () => {
+    const day = 24 * 60;
+    const data = feed({
+        meta: { provider: 'fixture', pagesFetched: 1, pageBudget: null, complete: true, window: { mode: 'today-tomorrow', start: at(-14 * 60), end: at(2 * day - 14 * 60) } },
+        arrivals: [
+            arrival({ flightNumber: 'AM640', scheduled: at(-120), actual: at(-125), delayMinutes: -5, status: 'Landed', punctuality: 'On Time' }),
+            // 23:50, now due 00:25 tomorrow
+            arrival({ flightNumber: 'AM248', scheduled: at(590), estimated: at(625), delayMinutes: 35, status: 'Delayed', punctuality: 'Delayed' }),
+            arrival({ flightNumber: 'AM640', scheduled: at(day - 120) })
+        ]
+    });
+
+    await withBoard({ files: { 'data/pvr.json': data } }, async ({ document, rows }) => {
+        assert.deepStrictEqual(rows().map(row => row.split(' ').slice(0, 4).join(' ')), [
+            'Today · Saturday, March',
+            '12:00 11:55 AM640 Aeroméxico',
+            '23:50 00:25+1 AM248 Aeroméxico',
+            'Tomorrow · Sunday, March',
+            '12:00+1 AM640 Aeroméxico Mexico'
+        ]);
+        assert.strictEqual(document.querySelector('.day-badge').title, 'Sunday, March 15');
+
+        // Tomorrow's AM640 opens its own drawer
+        const tomorrow = document.querySelectorAll('tr[data-flight-number="AM640"]')[1];
+        tomorrow.click();
+        assert.ok(document.getElementById('details-arrivals-AM640-20260315'));
+        assert.strictEqual(document.getElementById('details-arrivals-AM640'), null);
+
+        // Narrow to today: the late AM248 stays, tomorrow's flight goes
+        document.querySelector('.filter-chip[data-range="today"]').click();
+        assert.deepStrictEqual(rows().map(flightNumberOf), ['AM640', 'AM248']);
+        assert.match(document.defaultView.location.hash, /range=today/);
+        assert.strictEqual(document.querySelector('.filter-chip[data-range="today"]').getAttribute('aria-pressed'), 'true');
+    });
+});
+
+test('a rolling window keeps late flights and drops those long gone', async () => {
+    const data = feed({
+        arrivals: [
+            arrival({ flightNumber: 'AM640', scheduled: at(-300), actual: at(-295), status: 'Landed' }),
+            arrival({ flightNumber: 'AM642', scheduled: at(-180), estimated: at(20), delayMinutes: 200, status: 'Delayed', punctuality: 'Delayed' }),
+            arrival({ flightNumber: 'AM644', scheduled: at(60) })
+        ]
+    });
+
+    await withBoard({ files: { 'data/pvr.json': data }, query: '?range=rolling' }, async ({ rows, document }) => {
+        assert.deepStrictEqual(rows().map(flightNumberOf), ['AM642', 'AM644']);
+        assert.strictEqual(document.querySelector('.filter-chip[data-range="rolling"]').getAttribute('aria-pressed'), 'true');
+    });
+});
+
+test('shows the day\'s stats for the current tab', async () => {
+    const data = feed();
+    data.stats = computeStats(data.arrivals, data.departures, data.airport.timezone);
+    const archive = {
+        airport: 'PVR',
+        days: [
+            { date: '2026-03-14', lastUpdated: at(-30), arrivals: 3, departures: 1, operated: 10, onTimePercent: 90 },
+            { date: '2026-03-13', lastUpdated: at(-1440), arrivals: 3, departures: 1, operated: 30, onTimePercent: 70 }
+        ]
+    };
+
+    await withBoard({ files: { 'data/pvr.json': data, 'data/archive/pvr/index.json': archive } }, async ({ document }) => {
+        const panel = document.getElementById('stats-panel');
+        assert.strictEqual(panel.hidden, false);
+        assert.strictEqual(panel.querySelector('.stats-gauge').getAttribute('aria-label'), '100% on time');
+
+        const figures = [...panel.querySelectorAll('.stats-figures div')].map(figure => figure.textContent);
+        assert.deepStrictEqual(figures, ['Flights3', 'Operated1', 'Average delay0 min', 'Cancelled1', 'Busiest hour12:00 (1)']);
+        assert.strictEqual(panel.querySelectorAll('.hourly-chart rect').length, 24);
+        assert.strictEqual(panel.querySelector('.bar-peak title').textContent, 'Flights at 12:00: 1');
+        assert.match(panel.querySelector('.stats-week').textContent, /Last 2 days, arrivals and departures: 75% on time/);
+
+        document.querySelector('.tab-btn[data-tab="departures"]').click();
+        assert.strictEqual(panel.querySelector('.stats-gauge').getAttribute('aria-label'), 'No flights operated yet');
+        assert.match(panel.querySelector('.stats-lists').textContent, /Calgary \(YYC\)\s+1/);
+    });
+
+    // Files from before stats existed have no panel
+    await withBoard({ files: { 'data/pvr.json': feed() } }, async ({ document }) => {
+        assert.strictEqual(document.getElementById('stats-panel').hidden, true);
+    });
+});
+
+test('pins watched flights and notifies when they change', async () => {
+    const notifications = [];
+    const setup = window => {
+        window.Notification = class {
+            constructor(title, options) {
+                notifications.push([title, options.body]);
+            }
+        };
+        window.Notification.permission = 'granted';
+        window.Notification.requestPermission = async () => 'granted';
+    };
+    const files = { 'data/pvr.json': feed() };
+
+    await withBoard({ files, setup }, async ({ document, window, rows, settle }) => {
+        const star = [...document.querySelectorAll('.watch-btn')].find(button => button.dataset.flightNumber === 'Y4820');
+        star.click();
+
+        assert.deepStrictEqual(rows().map(flightNumberOf), ['Y4820', 'AM640', 'WS2412']);
+        assert.strictEqual(document.querySelector('.watch-btn').getAttribute('aria-pressed'), 'true');
+        assert.deepStrictEqual(JSON.parse(window.localStorage.getItem('flight-tracker-watch')), ['PVR:arrivals:Y4820@2026-03-14']);
+
+        document.querySelector('.watch-btn[data-flight-number="WS2412"]').click();
+
+        // Next refresh: the WS2412 estimate moves, Y4820 lands, AM640 (not watched) changes too
+        const next = feed();
+        next.lastUpdated = at(-1);
+        next.arrivals[0].status = 'Diverted';
+        next.arrivals[1].estimated = at(130);
+        next.arrivals[1].delayMinutes = 70;
+        next.arrivals[2].status = 'Landed';
+        next.arrivals[2].actual = at(-1);
+        files['data/pvr.json'] = next;
+
+        document.dispatchEvent(new window.Event('visibilitychange'));
+        await settle();
+
+        assert.deepStrictEqual(notifications, [
+            ['WS2412 now 70 min late', 'Calgary (YYC) · 16:10'],
+            ['Y4820 landed', 'Tijuana (TIJ) · 13:59']
+        ]);
+    });
+});
+
+test('a notification that cannot be shown does not stop the refresh', async () => {
+    const shown = [];
+    const files = { 'data/pvr.json': feed() };
+    // As in Chrome on Android: only the service worker may show notifications
+    const setup = withWorker => window => {
+        window.Notification = class {
+            constructor() {
+                throw new TypeError('Illegal constructor');
+            }
+        };
+        window.Notification.permission = 'granted';
+        window.localStorage.setItem('flight-tracker-watch', JSON.stringify(['PVR:arrivals:WS2412@2026-03-14']));
+        if (withWorker) {
+            const worker = new window.EventTarget();
+            worker.register = async () => ({});
+            worker.getRegistration = async () => ({ showNotification: async title => shown.push(title) });
+            Object.defineProperty(window.navigator, 'serviceWorker', { value: worker });
+        }
+    };
+    const cancel = () => {
+        const next = feed();
+        next.lastUpdated = at(-1);
+        next.arrivals[1].status = 'Cancelled';
+        files['data/pvr.json'] = next;
+    };
+
+    for (const withWorker of [false, true]) {
+        files['data/pvr.json'] = feed();
+        await withBoard({ files, setup: setup(withWorker) }, async ({ document, window, rows, settle }) => {
+            cancel();
+            document.dispatchEvent(new window.Event('visibilitychange'));
+            await settle();
+
+            assert.match(rows()[0], /WS2412.*Cancelled$/);
+            assert.strictEqual(document.getElementById('offline-banner').hidden, true);
+        });
+    }
+    assert.deepStrictEqual(shown, ['WS2412 cancelled']);
+});
+
+test('stars a flight on one day only when its number flies on both', async () => {
+    const day = 24 * 60;
+    const data = feed({
+        meta: { provider: 'fixture', pagesFetched: 1, pageBudget: null, complete: true, window: { mode: 'today-tomorrow', start: at(-14 * 60), end: at(2 * day - 14 * 60) } },
+        arrivals: [
+            arrival({ flightNumber: 'AM640', scheduled: at(60) }),
+            arrival({ flightNumber: 'AM640', scheduled: at(day + 60) })
+        ]
+    });
+    // Saved before stars were kept per day: it no longer matches anything
+    const setup = window => window.localStorage.setItem('flight-tracker-watch', JSON.stringify(['PVR:arrivals:AM640']));
+
+    await withBoard({ files: { 'data/pvr.json': data }, setup }, async ({ document, window }) => {
+        const stars = () => [...document.querySelectorAll('.watch-btn')];
+        assert.deepStrictEqual(stars().map(star => star.getAttribute('aria-pressed')), ['false', 'false']);
+
+        stars()[1].click();
+        assert.deepStrictEqual(JSON.parse(window.localStorage.getItem('flight-tracker-watch')), ['PVR:arrivals:AM640@2026-03-15']);
+        assert.deepStrictEqual(stars().map(star => [star.dataset.flightId, star.getAttribute('aria-pressed')]), [
+            ['AM640@2026-03-15', 'true'],
+            ['AM640@2026-03-14', 'false']
+        ]);
+    });
+});
@@ -0,0 +1,90 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createFlightEvent, buildCalendar, escapeText, foldLine } = require('../ics');
+const { writeCalendarFeeds } = require('../scripts/calendar');
+const { getAirport } = require('../scripts/airports');
+const { processFlights } = require('../scripts/fetch-flights');
+const { RECORDED_AT, normalizeAeroApiFixture } = require('./helpers/fixtures');
+
+const TEXT = { summary: 'Arrival AM640 from Mexico City (MEX)', location: 'PVR', description: 'Status: Landed' };
+
+// Unfolded content lines of an iCalendar document
+const unfold = ics => ics.replace(/\r\n /g, '').split('\r\n').filter(Boolean);
+
+test('escapes commas, semicolons, backslashes and newlines', () => {
+    assert.strictEqual(escapeText('Gate 4, Terminal 1; a\\b\nnext'), 'Gate 4\\, Terminal 1\\; a\\\\b\\nnext');
+});
+
+test('folds long lines at 75 octets without splitting characters', () => {
+    const line = `SUMMARY:${'é'.repeat(60)}`;
+    const parts = foldLine(line).split('\r\n ');
+
+    assert.ok(parts.length > 1);
+    parts.forEach((part, i) => {
+        assert.ok(Buffer.byteLength(part) <= (i === 0 ? 75 : 74), `part ${i} is too long`);
+    });
+    assert.strictEqual(parts.join(''), line);
+});
+
+test('builds an event at the expected time with a stable UID', () => {
+    const flight = {
+        flightNumber: 'AM640',
+        scheduled: '2026-03-14T18:00:00.000Z',
+        estimated: '2026-03-14T18:40:00.000Z',
+        actual: null,
+        status: 'Delayed'
+    };
+    const event = createFlightEvent(flight, 'arrival', 'PVR', TEXT);
+
+    assert.strictEqual(event.uid, '20260314-arrival-am640-pvr@flight-tracker');
+    assert.strictEqual(event.start.toISOString(), '2026-03-14T18:40:00.000Z');
+    assert.strictEqual(event.end.toISOString(), '2026-03-14T19:10:00.000Z');
+
+    const lines = unfold(buildCalendar([event], { name: 'PVR Arrivals', refreshHours: 3, stamp: RECORDED_AT }));
+    assert.strictEqual(lines[0], 'BEGIN:VCALENDAR');
+    assert.strictEqual(lines[lines.length - 1], 'END:VCALENDAR');
+    assert.ok(lines.includes('X-WR-CALNAME:PVR Arrivals'));
+    assert.ok(lines.includes('REFRESH-INTERVAL;VALUE=DURATION:PT3H'));
+    assert.ok(lines.includes('DTSTAMP:20260314T200000Z'));
+    assert.ok(lines.includes('DTSTART:20260314T184000Z'));
+    assert.ok(lines.includes('DTEND:20260314T191000Z'));
+    assert.ok(lines.includes('STATUS:CONFIRMED'));
+});
+
+test('marks cancelled flights as cancelled events', () => {
+    const event = createFlightEvent({ flightNumber: 'Y4820', scheduled: '2026-03-14T23:00:00Z', status: 'Cancelled' }, 'arrival', 'PVR', TEXT);
+    assert.ok(unfold(buildCalendar([event])).includes('STATUS:CANCELLED'));
+});
+
+test('writes arrivals and departures feeds for the default airport', () => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'calendar-'));
+    const airport = getAirport('PVR');
+    const { arrivals, departures } = normalizeAeroApiFixture('codeshares');
+    const data = {
+        lastUpdated: RECORDED_AT.toISOString(),
+        arrivals: processFlights(arrivals, airport.timezone, RECORDED_AT),
+        departures: processFlights(departures, airport.timezone, RECORDED_AT)
+    };
+
+    try {
+        const written = writeCalendarFeeds(dataDir, airport, data);
+        assert.deepStrictEqual(written.sort(), ['arrivals.ics', 'departures.ics', 'pvr-arrivals.ics', 'pvr-departures.ics']);
+
+        const feed = fs.readFileSync(path.join(dataDir, 'pvr-arrivals.ics'), 'utf8');
+        assert.strictEqual(feed, fs.readFileSync(path.join(dataDir, 'arrivals.ics'), 'utf8'));
+
+        const lines = unfold(feed);
+        assert.strictEqual(lines.filter(line => line === 'BEGIN:VEVENT').length, data.arrivals.length);
+
+        const flight = data.arrivals[0];
+        const place = `${flight.origin} (${flight.originCode})`;
+        assert.ok(lines.includes(`SUMMARY:Arrival ${flight.flightNumber} from ${escapeText(place)}`));
+        assert.ok(lines.some(line => line.startsWith('DESCRIPTION:') && line.includes(`Also sold as: ${escapeText(flight.codeshares.join(', '))}`)));
+    } finally {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { linkDiversions } = require('../scripts/diversions');
+const { processFlights } = require('../scripts/fetch-flights');
+const { normalizeFlight } = require('../scripts/providers/aeroapi');
+const { RECORDED_AT } = require('./helpers/fixtures');
+
+const PVR = 'America/Bahia_Banderas';
+
+const PVR_AIRPORT = { code: 'MMPR', code_iata: 'PVR', code_icao: 'MMPR', city: 'Puerto Vallarta' };
+const GDL_AIRPORT = { code: 'MMGL', code_iata: 'GDL', code_icao: 'MMGL', city: 'Guadalajara' };
+const MEX_AIRPORT = { code: 'MMMX', code_iata: 'MEX', code_icao: 'MMMX', city: 'Mexico City' };
+
+// AeroAPI arrival records at PVR on the fixtures' day; times are UTC, PVR is UTC-6
+const arrival = fields => normalizeFlight({ origin: MEX_AIRPORT, destination: PVR_AIRPORT, ...fields }, 'arrival');
+
+function link(records) {
+    return linkDiversions(processFlights(records, PVR, RECORDED_AT));
+}
+
+test('records where a diverted flight went, from its reported destination', () => {
+    const away = arrival({ ident_iata: 'AM640', diverted: true, destination: GDL_AIRPORT, scheduled_on: '2026-03-14T16:00:00Z' });
+    const here = arrival({ ident_iata: 'AM900', diverted: true, origin: MEX_AIRPORT, scheduled_on: '2026-03-14T18:00:00Z' });
+    const regular = arrival({ ident_iata: 'AM642', scheduled_on: '2026-03-14T17:00:00Z' });
+
+    assert.strictEqual(away.status, 'Diverted');
+    assert.deepStrictEqual(away.divertedTo, { city: 'Guadalajara', code: 'GDL' });
+    assert.deepStrictEqual(here.divertedTo, { city: 'Puerto Vallarta', code: 'PVR' });
+    assert.strictEqual(regular.divertedTo, null);
+});
+
+test('keeps a diverted arrival and its recovery flight as two linked rows', () => {
+    const arrivals = link([
+        arrival({ ident_iata: 'AM640', fa_flight_id: 'AMX640-1', diverted: true, destination: GDL_AIRPORT, scheduled_on: '2026-03-14T16:00:00Z', actual_off: '2026-03-14T14:30:00Z' }),
+        arrival({ ident_iata: 'AM640', fa_flight_id: 'AMX640-2', origin: GDL_AIRPORT, scheduled_on: '2026-03-14T19:00:00Z', estimated_on: '2026-03-14T19:20:00Z' })
+    ]);
+
+    assert.strictEqual(arrivals.length, 2);
+    const [diverted, recovery] = arrivals;
+
+    assert.strictEqual(diverted.status, 'Diverted');
+    assert.deepStrictEqual(diverted.recovery, { flightNumber: 'AM640', faFlightId: 'AMX640-2', scheduled: '2026-03-14T19:00:00Z', estimated: '2026-03-14T19:20:00Z' });
+    assert.strictEqual(diverted.recoveryOf, null);
+
+    assert.strictEqual(recovery.originCode, 'GDL');
+    assert.deepStrictEqual(recovery.recoveryOf, { flightNumber: 'AM640', faFlightId: 'AMX640-1', scheduled: '2026-03-14T16:00:00Z', estimated: null });
+    assert.strictEqual(recovery.recovery, null);
+});
+
+test('links no recovery from another airport, an earlier time or for flights diverted here', () => {
+    const arrivals = link([
+        arrival({ ident_iata: 'AM640', diverted: true, destination: GDL_AIRPORT, scheduled_on: '2026-03-14T16:00:00Z' }),
+        // Same number, but from the flight's own origin and earlier: the morning rotation
+        arrival({ ident_iata: 'AM640', scheduled_on: '2026-03-14T15:00:00Z', actual_on: '2026-03-14T14:55:00Z' }),
+        arrival({ ident_iata: 'AM900', diverted: true, scheduled_on: '2026-03-14T18:00:00Z' })
+    ]);
+
+    arrivals.forEach(flight => {
+        assert.strictEqual(flight.recovery, null, `${flight.flightNumber} has no recovery`);
+        assert.strictEqual(flight.recoveryOf, null, `${flight.flightNumber} continues nothing`);
+    });
+});
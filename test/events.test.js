@@ -0,0 +1,187 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { diffFlights, appendEvents, writeEventFeeds, buildAtomFeed } = require('../scripts/events');
+const { getAirport } = require('../scripts/airports');
+const { RECORDED_AT } = require('./helpers/fixtures');
+
+const PVR = getAirport('PVR');
+const EARLIER = '2026-03-14T13:00:00.000Z';
+
+// Processed record with only the fields the diff reads; times are UTC, PVR is UTC-6
+const flight = fields => ({
+    flightNumber: 'AM640',
+    airline: 'Aeroméxico',
+    origin: 'Mexico City',
+    originCode: 'MEX',
+    destination: null,
+    destinationCode: null,
+    scheduled: '2026-03-14T22:00:00Z',
+    actual: null,
+    delayMinutes: 0,
+    status: 'Scheduled',
+    punctuality: 'On Time',
+    terminal: null,
+    gate: null,
+    ...fields
+});
+
+// Feed with the given arrivals, as of a run time
+const feed = (arrivals, lastUpdated = RECORDED_AT.toISOString()) => ({ lastUpdated, arrivals, departures: [] });
+
+test('records cancellations, diversions, new delays and gate changes', () => {
+    const previous = feed([
+        flight({ flightNumber: 'AM640' }),
+        flight({ flightNumber: 'AM642' }),
+        flight({ flightNumber: 'Y4820', airline: 'Volaris' }),
+        flight({ flightNumber: 'WS2412', gate: 'A3' })
+    ], EARLIER);
+    const next = feed([
+        flight({ flightNumber: 'AM640', status: 'Cancelled', punctuality: null }),
+        flight({ flightNumber: 'AM642', status: 'Diverted', punctuality: null, divertedTo: { city: 'Guadalajara', code: 'GDL' } }),
+        flight({ flightNumber: 'Y4820', airline: 'Volaris', status: 'Delayed', punctuality: 'Delayed', delayMinutes: 25 }),
+        flight({ flightNumber: 'WS2412', gate: 'B4', terminal: '2' })
+    ]);
+
+    const events = diffFlights(previous, next, PVR);
+
+    assert.deepStrictEqual(events.map(event => [event.flightNumber, event.type, event.previous, event.current]), [
+        ['AM640', 'cancelled', 'Scheduled', 'Cancelled'],
+        ['AM642', 'diverted', 'Scheduled', 'Diverted'],
+        ['Y4820', 'delayed', null, 25],
+        ['WS2412', 'gateChange', 'A3', 'T2 B4']
+    ]);
+    assert.strictEqual(events[0].title, 'Arrival AM640 from Mexico City (MEX) cancelled');
+    assert.strictEqual(events[1].title, 'Arrival AM642 from Mexico City (MEX) diverted to GDL');
+    assert.strictEqual(events[0].detected, RECORDED_AT.toISOString());
+    assert.strictEqual(events[0].airport, 'PVR');
+    assert.strictEqual(events[0].direction, 'arrival');
+});
+
+test('only records a growing delay once it has grown by 15 minutes, and never after operating', () => {
+    const previous = feed([
+        flight({ flightNumber: 'AM640', punctuality: 'Delayed', delayMinutes: 20 }),
+        flight({ flightNumber: 'AM642', punctuality: 'Delayed', delayMinutes: 20 }),
+        flight({ flightNumber: 'AM644' })
+    ], EARLIER);
+    const next = feed([
+        flight({ flightNumber: 'AM640', punctuality: 'Delayed', delayMinutes: 30 }),
+        flight({ flightNumber: 'AM642', punctuality: 'Delayed', delayMinutes: 45 }),
+        flight({ flightNumber: 'AM644', punctuality: 'Delayed', delayMinutes: 50, actual: '2026-03-14T22:50:00Z', status: 'Landed' })
+    ]);
+
+    const events = diffFlights(previous, next, PVR);
+
+    assert.strictEqual(events.length, 1);
+    assert.strictEqual(events[0].flightNumber, 'AM642');
+    assert.strictEqual(events[0].title, 'Arrival AM642 from Mexico City (MEX) now 45 min late (was 20)');
+});
+
+test('records nothing on the first run or for unchanged flights', () => {
+    const unchanged = feed([flight({ gate: 'A3' })]);
+    assert.deepStrictEqual(diffFlights(null, unchanged, PVR), []);
+    assert.deepStrictEqual(diffFlights(feed([flight({ gate: 'A3' })], EARLIER), unchanged, PVR), []);
+});
+
+test('records flights that first appear cancelled or diverted, but no other news about them', () => {
+    // Yesterday's file: today's AM640 is another flight, cancelled before this run
+    const previous = feed([flight({ scheduled: '2026-03-13T22:00:00Z' })], EARLIER);
+    const next = feed([
+        flight({ status: 'Cancelled', punctuality: null }),
+        flight({ flightNumber: 'AM642', status: 'Diverted', punctuality: null }),
+        flight({ flightNumber: 'AM644', punctuality: 'Delayed', delayMinutes: 40, gate: 'B4' })
+    ]);
+
+    const events = diffFlights(previous, next, PVR);
+
+    assert.deepStrictEqual(events.map(event => [event.flightNumber, event.type, event.previous, event.current]), [
+        ['AM640', 'cancelled', null, 'Cancelled'],
+        ['AM642', 'diverted', null, 'Diverted']
+    ]);
+    assert.strictEqual(events[0].title, 'Arrival AM640 from Mexico City (MEX) cancelled');
+
+    // Once known, it is not news again
+    assert.deepStrictEqual(diffFlights(next, feed(next.arrivals), PVR), []);
+});
+
+test('appends new events newest first, skipping known ones and dropping expired ones', () => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'events-'));
+    const event = (id, detected) => ({ id, type: 'cancelled', detected, airport: 'PVR' });
+
+    try {
+        appendEvents(dataDir, [event('old', '2026-03-01T12:00:00.000Z'), event('kept', '2026-03-13T12:00:00.000Z')], 14, new Date('2026-03-13T12:00:00Z'));
+        const log = appendEvents(dataDir, [event('kept', '2026-03-13T12:00:00.000Z'), event('new', '2026-03-14T12:00:00.000Z')], 7, RECORDED_AT);
+
+        assert.deepStrictEqual(log.events.map(entry => entry.id), ['new', 'kept']);
+        assert.strictEqual(log.updated, RECORDED_AT.toISOString());
+        assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(dataDir, 'events.json'), 'utf8')), log);
+    } finally {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+});
+
+test('leaves the log and feeds untouched on a run without new or expired events', () => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'events-'));
+    const read = name => fs.readFileSync(path.join(dataDir, name), 'utf8');
+    const events = diffFlights(
+        feed([flight({ flightNumber: 'AM640' })], EARLIER),
+        feed([flight({ flightNumber: 'AM640', status: 'Cancelled' })]),
+        PVR
+    );
+
+    try {
+        writeEventFeeds(dataDir, PVR, appendEvents(dataDir, events, 14, RECORDED_AT), null);
+        const before = ['events.json', 'pvr-events.atom', 'pvr-alerts.atom'].map(read);
+
+        const later = new Date(RECORDED_AT.getTime() + 60 * 60 * 1000);
+        const log = appendEvents(dataDir, [], 14, later);
+        writeEventFeeds(dataDir, PVR, log, null);
+
+        assert.strictEqual(log.updated, RECORDED_AT.toISOString());
+        assert.deepStrictEqual(['events.json', 'pvr-events.atom', 'pvr-alerts.atom'].map(read), before);
+
+        // Another airport's event updates the log but not this airport's feeds
+        const gdl = { ...events[0], id: 'gdl-event', airport: 'GDL', detected: later.toISOString() };
+        writeEventFeeds(dataDir, PVR, appendEvents(dataDir, [gdl], 14, later), null);
+        assert.notStrictEqual(read('events.json'), before[0]);
+        assert.deepStrictEqual(['pvr-events.atom', 'pvr-alerts.atom'].map(read), before.slice(1));
+    } finally {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+});
+
+test('writes an airport\'s events and alerts as Atom feeds', () => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'events-'));
+    const events = diffFlights(
+        feed([flight({ flightNumber: 'AM640' }), flight({ flightNumber: 'AM642', gate: 'A3' })], EARLIER),
+        feed([flight({ flightNumber: 'AM640', status: 'Cancelled' }), flight({ flightNumber: 'AM642', gate: 'B4' })]),
+        PVR
+    );
+    const log = { updated: RECORDED_AT.toISOString(), events: [...events, { ...events[0], id: 'gdl-event', airport: 'GDL' }] };
+
+    try {
+        const names = writeEventFeeds(dataDir, PVR, log, 'https://example.github.io/tracker');
+        assert.deepStrictEqual(names, ['pvr-events.atom', 'pvr-alerts.atom']);
+
+        const all = fs.readFileSync(path.join(dataDir, 'pvr-events.atom'), 'utf8');
+        const alerts = fs.readFileSync(path.join(dataDir, 'pvr-alerts.atom'), 'utf8');
+
+        assert.strictEqual(all.match(/<entry>/g).length, 2);
+        assert.strictEqual(alerts.match(/<entry>/g).length, 1);
+        assert.ok(alerts.includes('<category term="cancelled"/>'));
+        assert.ok(alerts.includes('<link rel="alternate" href="https://example.github.io/tracker/?airport=pvr#tab=arrivals&amp;q=AM640"/>'));
+        assert.ok(alerts.includes('Aeroméxico AM640, scheduled Sat 14 Mar, 16:00 (Puerto Vallarta time)'));
+    } finally {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+});
+
+test('escapes feed text', () => {
+    const atom = buildAtomFeed([], { id: 'urn:test', title: 'Arrivals & <departures>', updated: RECORDED_AT.toISOString(), link: null });
+
+    assert.ok(atom.includes('<title>Arrivals &amp; &lt;departures&gt;</title>'));
+    assert.ok(!atom.includes('<link'));
+});
@@ -0,0 +1,89 @@
+/**
+ * Loads index.html, i18n.js and script.js into a jsdom window.
+ *
+ * `files` maps paths such as 'data/pvr.json' to the objects the stubbed
+ * fetch serves; any other path is a 404. `now` pins Date so live statuses
+ * and "today" are deterministic. `setup(window)` runs before the page's
+ * scripts, e.g. to stand in for an embedding parent window.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+async function loadBoard({ page = 'index.html', query = '', files = {}, now = new Date(), setup } = {}) {
+    const html = fs.readFileSync(path.join(ROOT, page), 'utf8');
+    const virtualConsole = new VirtualConsole();
+    const errors = [];
+    virtualConsole.on('jsdomError', error => errors.push(error));
+
+    const dom = new JSDOM(html, {
+        url: `http://localhost/${page}${query}`,
+        runScripts: 'outside-only',
+        pretendToBeVisual: true,
+        virtualConsole
+    });
+    const window = dom.window;
+
+    pinDate(window, now);
+
+    window.fetch = async url => {
+        const file = String(url).replace(/^https?:\/\/[^/]+/, '').replace(/^\//, '').split('?')[0];
+        if (!(file in files)) {
+            return { ok: false, status: 404, statusText: 'Not Found', headers: new Map(), text: async () => '' };
+        }
+        const body = JSON.stringify(files[file]);
+        return {
+            ok: true,
+            status: 200,
+            headers: new Map(),
+            text: async () => body,
+            json: async () => JSON.parse(body)
+        };
+    };
+
+    if (setup) setup(window);
+
+    // Run the page's own scripts in order, as the browser would
+    window.document.querySelectorAll('script[src]').forEach(script => {
+        const src = script.getAttribute('src').split('?')[0];
+        window.eval(fs.readFileSync(path.join(ROOT, src), 'utf8'));
+    });
+
+    const board = {
+        window,
+        document: window.document,
+        errors,
+        // Let pending fetches and renders finish
+        settle: async () => {
+            for (let i = 0; i < 5; i++) {
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        },
+        // Visible flight rows as whitespace-collapsed text
+        rows: () => [...window.document.querySelectorAll('#flight-tbody tr')]
+            .map(row => row.textContent.replace(/\s+/g, ' ').trim()),
+        close: () => window.close()
+    };
+
+    await board.settle();
+    return board;
+}
+
+// Replace the window's Date with one frozen at `now`
+function pinDate(window, now) {
+    window.eval(`
+        window.Date = class PinnedDate extends Date {
+            constructor(...args) {
+                super(...(args.length ? args : [${now.getTime()}]));
+            }
+            static now() {
+                return ${now.getTime()};
+            }
+        };
+    `);
+}
+
+module.exports = { loadBoard };
@@ -0,0 +1,34 @@
+/**
+ * Recorded AeroAPI /airports/{id}/flights responses in test/fixtures/aeroapi.
+ *
+ * Each fixture is one response page for PVR on Saturday 2026-03-14
+ * (UTC-6), as recorded at 14:00 local time.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeFlights } = require('../../scripts/providers/aeroapi');
+
+const FIXTURE_DIR = path.join(__dirname, '..', 'fixtures', 'aeroapi');
+
+// Time the fixtures were recorded
+const RECORDED_AT = new Date('2026-03-14T20:00:00Z');
+
+function loadAeroApiFixture(name) {
+    return JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, `${name}.json`), 'utf8'));
+}
+
+// Normalized arrivals and departures of a fixture, as the AeroAPI provider builds them
+function normalizeAeroApiFixture(name) {
+    const page = loadAeroApiFixture(name);
+    return {
+        arrivals: normalizeFlights([...page.arrivals, ...page.scheduled_arrivals], 'arrival'),
+        departures: normalizeFlights([...page.departures, ...page.scheduled_departures], 'departure')
+    };
+}
+
+module.exports = {
+    RECORDED_AT,
+    loadAeroApiFixture,
+    normalizeAeroApiFixture
+};
@@ -0,0 +1,55 @@
+/**
+ * Minimal local stand-in for AeroAPI's /airports/{id}/flights endpoint.
+ *
+ * `pages` is a list of page bodies (or { status, headers, body } error
+ * responses, or { drop: true } to cut the connection) served in request
+ * order. Each body gets a `links.next` cursor
+ * pointing at the following page unless it sets `links` itself.
+ */
+
+const http = require('http');
+
+function startMockAeroApi(pages) {
+    const requests = [];
+    let index = 0;
+
+    const server = http.createServer((req, res) => {
+        requests.push({ url: req.url, headers: req.headers });
+
+        const page = pages[Math.min(index, pages.length - 1)];
+        index++;
+
+        if (page.drop) {
+            req.socket.destroy();
+            return;
+        }
+
+        if (page.status) {
+            res.writeHead(page.status, { 'Content-Type': 'text/plain', ...(page.headers || {}) });
+            res.end(page.body || 'error');
+            return;
+        }
+
+        const body = { num_pages: 1, ...page };
+        if (!('links' in page)) {
+            const hasNext = pages.slice(index).some(next => !next.status && !next.drop);
+            body.links = hasNext ? { next: `/airports/MMPR/flights?cursor=page${index}` } : null;
+        }
+
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            resolve({
+                baseUrl: `http://127.0.0.1:${port}`,
+                requests,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+module.exports = { startMockAeroApi };
@@ -0,0 +1,221 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { processFlights, computeDelayMinutes, classifyDelay } = require('../scripts/fetch-flights');
+const { normalizeFlight } = require('../scripts/providers/aeroapi');
+const { RECORDED_AT, normalizeAeroApiFixture } = require('./helpers/fixtures');
+
+const PVR = 'America/Bahia_Banderas';
+
+const arrival = (ident, scheduledOn, extra = {}) => normalizeFlight({
+    ident_iata: ident,
+    operator: 'AMX',
+    origin: { code_iata: 'MEX', name: 'Mexico City' },
+    scheduled_on: scheduledOn,
+    ...extra
+}, 'arrival');
+
+test('keeps flights from local midnight to 23:59 and drops the next local day', () => {
+    const now = new Date('2026-04-05T15:00:00Z'); // 09:00 local
+    const flights = [
+        arrival('AM1', '2026-04-05T05:59:00Z'), // 23:59 on Apr 4
+        arrival('AM2', '2026-04-05T06:00:00Z'), // 00:00 on Apr 5
+        arrival('AM3', '2026-04-06T05:30:00Z'), // 23:30 on Apr 5 (Apr 6 in UTC)
+        arrival('AM4', '2026-04-06T06:00:00Z')  // 00:00 on Apr 6
+    ];
+
+    const result = processFlights(flights, PVR, now);
+
+    assert.deepStrictEqual(result.map(f => f.flightNumber), ['AM2', 'AM3']);
+});
+
+test('does not shift flights by an hour on the old DST start date', () => {
+    // Under pre-2022 rules PVR would be UTC-5 from 02:00 on the first Sunday
+    // of April, which would push a 23:30 arrival into the next day
+    const now = new Date('2026-04-05T18:00:00Z');
+    const flights = [
+        arrival('AM10', '2026-04-05T07:30:00Z'), // 01:30 local
+        arrival('AM11', '2026-04-05T09:00:00Z'), // 03:00 local
+        arrival('AM12', '2026-04-06T05:30:00Z')  // 23:30 local
+    ];
+
+    const result = processFlights(flights, PVR, now);
+
+    assert.deepStrictEqual(result.map(f => f.flightNumber), ['AM10', 'AM11', 'AM12']);
+});
+
+test('does not drop the last hour on the old DST end date', () => {
+    const now = new Date('2026-10-25T18:00:00Z');
+    const flights = [
+        arrival('AM20', '2026-10-25T06:30:00Z'), // 00:30 local
+        arrival('AM21', '2026-10-26T05:45:00Z')  // 23:45 local
+    ];
+
+    const result = processFlights(flights, PVR, now);
+
+    assert.deepStrictEqual(result.map(f => f.flightNumber), ['AM20', 'AM21']);
+});
+
+test('uses the airport timezone, not Mexico City, for other airports', () => {
+    // 23:30 in Tepic (UTC-7) is already the next day in Mexico City
+    const now = new Date('2026-04-05T18:00:00Z');
+    const flights = [arrival('VB1', '2026-04-06T06:30:00Z')];
+
+    assert.strictEqual(processFlights(flights, 'America/Mazatlan', now).length, 1);
+    assert.strictEqual(processFlights(flights, 'America/Mexico_City', now).length, 0);
+});
+
+// Recorded AeroAPI responses (test/fixtures/aeroapi), processed as the fetcher does
+function processFixture(name) {
+    const data = normalizeAeroApiFixture(name);
+    return {
+        arrivals: processFlights(data.arrivals, PVR, RECORDED_AT),
+        departures: processFlights(data.departures, PVR, RECORDED_AT)
+    };
+}
+
+test('cancelled flights stay cancelled whatever their estimate says', () => {
+    const { arrivals, departures } = processFixture('cancelled');
+
+    const [am1234] = arrivals;
+    assert.strictEqual(am1234.status, 'Cancelled');
+    assert.strictEqual(am1234.punctuality, null);
+    assert.strictEqual(am1234.delayMinutes, 50);
+
+    assert.deepStrictEqual(
+        departures.map(f => [f.flightNumber, f.status, f.delayMinutes]),
+        [['Y4821', 'Cancelled', 0], ['Y4823', 'Delayed', 30]]
+    );
+});
+
+test('diverted flights are flagged even after landing elsewhere', () => {
+    const { arrivals } = processFixture('diverted');
+
+    assert.deepStrictEqual(
+        arrivals.map(f => [f.flightNumber, f.status, f.punctuality]),
+        [['WS2412', 'Diverted', 'On Time'], ['AM222', 'En Route', 'On Time']]
+    );
+
+    // Our side of the flight: destination gate and terminal for arrivals
+    assert.strictEqual(arrivals[1].gate, 'A3');
+    assert.strictEqual(arrivals[1].terminal, '1');
+});
+
+test('codeshare and duplicate records collapse into the operating flight', () => {
+    const { arrivals } = processFixture('codeshares');
+
+    assert.deepStrictEqual(arrivals.map(f => f.flightNumber), ['AM640', 'AS1380']);
+
+    // The landed record wins over the stale scheduled copy of the same flight
+    const [am640, as1380] = arrivals;
+    assert.strictEqual(am640.status, 'Landed');
+    assert.strictEqual(am640.gate, 'B2');
+    assert.deepStrictEqual(am640.codeshares, ['DL7711', 'KL3301']);
+    assert.strictEqual(am640.airline, 'Aeroméxico');
+
+    assert.deepStrictEqual(as1380.codeshares, ['AA7381']);
+    assert.strictEqual(as1380.status, 'En Route');
+});
+
+test('flights belong to the local day they are scheduled on', () => {
+    const { arrivals, departures } = processFixture('cross-midnight');
+
+    // VB1166 was due 23:45 the night before and AM250 is due 00:10 the next
+    // day; AM248 is due 23:50 and stays even though it now lands after midnight
+    assert.deepStrictEqual(arrivals.map(f => f.flightNumber), ['AM248']);
+    assert.strictEqual(arrivals[0].status, 'Delayed');
+    assert.strictEqual(arrivals[0].delayMinutes, 35);
+
+    // 00:00 is the first minute of the day, 00:05 tomorrow is not
+    assert.deepStrictEqual(departures.map(f => f.flightNumber), ['VB1167']);
+});
+
+test('a rolling window keeps late flights it has moved past and tomorrow\'s flights', () => {
+    const now = new Date('2026-04-05T15:00:00Z'); // 09:00 local, window 07:00 to 07:00 tomorrow
+    const flights = [
+        arrival('AM1', '2026-04-05T12:30:00Z'), // 06:30, gone
+        arrival('AM2', '2026-04-05T12:30:00Z', { estimated_on: '2026-04-05T14:10:00Z' }), // 06:30, now due 08:10
+        arrival('AM3', '2026-04-06T06:30:00Z'), // 00:30 tomorrow
+        arrival('AM4', '2026-04-06T13:30:00Z')  // 07:30 tomorrow, past the window
+    ];
+
+    const result = processFlights(flights, PVR, now, 'rolling');
+
+    assert.deepStrictEqual(result.map(f => f.flightNumber), ['AM2', 'AM3']);
+    assert.strictEqual(result[0].delayMinutes, 100);
+});
+
+test('the same flight number on two days stays two rows', () => {
+    const now = new Date('2026-04-05T15:00:00Z');
+    const flights = [
+        arrival('AM1', '2026-04-05T18:00:00Z'),
+        arrival('AM1', '2026-04-06T18:00:00Z'),
+        arrival('AM1', '2026-04-06T18:00:00Z')
+    ];
+
+    const result = processFlights(flights, PVR, now, 'today-tomorrow');
+
+    assert.deepStrictEqual(result.map(f => f.scheduled), ['2026-04-05T18:00:00Z', '2026-04-06T18:00:00Z']);
+});
+
+test('records with missing fields fall back instead of failing', () => {
+    const { arrivals, departures } = processFixture('missing-fields');
+
+    // UA1617 has no scheduled runway time, so it cannot be placed and is dropped
+    assert.deepStrictEqual(arrivals.map(f => f.flightNumber), ['N512GA', 'WN1954', 'AA2419']);
+
+    const [ga, wn1954, aa2419] = arrivals;
+    assert.strictEqual(ga.airline, '—');
+    assert.strictEqual(ga.airlineCode, '');
+    assert.strictEqual(ga.origin, 'Lagos de Moreno');
+    // AeroAPI's code for an unlisted strip is its coordinates, not an airport code
+    assert.strictEqual(ga.originCode, '');
+    assert.strictEqual(ga.status, 'Landed');
+
+    assert.strictEqual(wn1954.origin, 'Unknown');
+    assert.strictEqual(wn1954.originCode, '');
+
+    assert.strictEqual(aa2419.origin, 'Los Angeles');
+    assert.strictEqual(aa2419.delayMinutes, null);
+    assert.strictEqual(aa2419.punctuality, null);
+    assert.strictEqual(aa2419.status, 'Scheduled');
+
+    const [xyz10] = departures;
+    assert.strictEqual(xyz10.flightNumber, 'XYZ10');
+    assert.strictEqual(xyz10.airline, 'XYZ');
+    assert.strictEqual(xyz10.airlineLogo, null);
+});
+
+test('keeps aircraft, baggage claim, distance and the gate/runway timeline', () => {
+    const [am640] = processFixture('codeshares').arrivals;
+
+    assert.strictEqual(am640.aircraftType, 'B38M');
+    assert.strictEqual(am640.baggageClaim, '2');
+    // 560 statute miles
+    assert.strictEqual(am640.distanceKm, 901);
+    assert.deepStrictEqual(am640.timeline.gateOut, {
+        scheduled: '2026-03-14T13:45:00Z',
+        estimated: '2026-03-14T13:45:00Z',
+        actual: '2026-03-14T13:50:00Z'
+    });
+    assert.strictEqual(am640.timeline.gateIn.actual, '2026-03-14T15:38:00Z');
+
+    // Baggage claim only applies to arrivals
+    const departure = normalizeFlight({ ident_iata: 'AM641', baggage_claim: '3', inbound_fa_flight_id: 'AMX640-1', scheduled_off: '2026-03-14T17:00:00Z' }, 'departure');
+    assert.strictEqual(departure.baggageClaim, null);
+    assert.strictEqual(departure.inboundFaFlightId, 'AMX640-1');
+    assert.strictEqual(departure.distanceKm, null);
+    assert.deepStrictEqual(departure.timeline.gateIn, { scheduled: null, estimated: null, actual: null });
+});
+
+test('delay classification uses the threshold on both sides', () => {
+    assert.strictEqual(computeDelayMinutes('2026-03-14T16:00:00Z', '2026-03-14T16:16:29Z'), 16);
+    assert.strictEqual(computeDelayMinutes('2026-03-14T16:00:00Z', null), null);
+    assert.strictEqual(computeDelayMinutes('not a time', '2026-03-14T16:00:00Z'), null);
+
+    assert.strictEqual(classifyDelay(16), 'Delayed');
+    assert.strictEqual(classifyDelay(15), 'On Time');
+    assert.strictEqual(classifyDelay(-15), 'On Time');
+    assert.strictEqual(classifyDelay(-16), 'Early');
+    assert.strictEqual(classifyDelay(null), null);
+});
@@ -0,0 +1,234 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+const { getProvider } = require('../scripts/providers');
+const aviationstack = require('../scripts/providers/aviationstack');
+const fixture = require('../scripts/providers/fixture');
+const { getAirport } = require('../scripts/airports');
+const { getLocalDayRange, getWindowRange } = require('../scripts/time');
+const { processFlights } = require('../scripts/fetch-flights');
+
+const PVR = getAirport('PVR');
+
+// AviationStack-shaped flight arriving at PVR
+const stackArrival = (number, scheduled, extra = {}) => ({
+    flight_date: '2026-03-14',
+    flight_status: 'scheduled',
+    departure: { airport: 'Benito Juarez International', timezone: 'America/Mexico_City', iata: 'MEX', icao: 'MMMX', scheduled: '2026-03-14T08:00:00+00:00' },
+    arrival: { airport: 'Puerto Vallarta', timezone: 'America/Bahia_Banderas', iata: 'PVR', icao: 'MMPR', terminal: '1', gate: 'B4', scheduled: scheduled },
+    airline: { name: 'Aeromexico', iata: 'AM', icao: 'AMX' },
+    flight: { number: number.slice(2), iata: number, icao: 'AMX' + number.slice(2), codeshared: null },
+    ...extra
+});
+
+test('selects providers by name and rejects unknown ones', () => {
+    assert.strictEqual(getProvider().name, 'aeroapi');
+    assert.strictEqual(getProvider('AviationStack').name, 'aviationstack');
+    assert.strictEqual(getProvider('fixture').keyEnv, null);
+    assert.throws(() => getProvider('opensky'), /Unknown provider "opensky"/);
+});
+
+test('rejects page budgets that are not whole numbers of 1 or more', () => {
+    const aeroapi = getProvider('aeroapi');
+    assert.strictEqual(aeroapi.getSettings({}).maxPages, 10);
+    assert.strictEqual(aeroapi.getSettings({ AEROAPI_MAX_PAGES: '3' }).maxPages, 3);
+    assert.strictEqual(aviationstack.getSettings({}).maxPages, 2);
+
+    ['abc', '0', '2.5'].forEach(value => {
+        assert.throws(() => aeroapi.getSettings({ AEROAPI_MAX_PAGES: value }), new RegExp(`AEROAPI_MAX_PAGES must be a whole number of 1 or more, got "${value}"`));
+        assert.throws(() => aviationstack.getSettings({ AVIATIONSTACK_MAX_PAGES: value }), /AVIATIONSTACK_MAX_PAGES must be a whole number/);
+    });
+});
+
+test('AviationStack local times are read in the airport timezone', () => {
+    const flight = aviationstack.normalizeFlight(
+        stackArrival('AM200', '2026-03-14T10:05:00+00:00', {
+            flight_status: 'landed',
+            arrival: {
+                iata: 'PVR', timezone: 'America/Bahia_Banderas', gate: 'B4',
+                scheduled: '2026-03-14T10:05:00+00:00', actual: '2026-03-14T10:20:00+00:00'
+            }
+        }),
+        'arrival',
+        'America/Bahia_Banderas'
+    );
+
+    // 10:05 in Puerto Vallarta (UTC-6), not 10:05 UTC
+    assert.strictEqual(flight.scheduled, '2026-03-14T16:05:00.000Z');
+    assert.strictEqual(flight.actual, '2026-03-14T16:20:00.000Z');
+    assert.strictEqual(flight.status, 'Landed');
+    assert.strictEqual(flight.airline, 'Aeroméxico');
+    assert.strictEqual(flight.origin, 'Mexico City');
+    assert.strictEqual(flight.gate, 'B4');
+});
+
+test('AviationStack aircraft and timeline times come from each end in its own timezone', () => {
+    const flight = aviationstack.normalizeFlight(
+        stackArrival('AM200', '2026-03-14T10:05:00+00:00', {
+            aircraft: { registration: 'XA-AMX', iata: 'B38M', icao: 'B38M' },
+            departure: {
+                iata: 'MEX', timezone: 'America/Mexico_City',
+                scheduled: '2026-03-14T08:00:00+00:00', actual_runway: '2026-03-14T08:14:00+00:00'
+            },
+            arrival: {
+                iata: 'PVR', timezone: 'America/Bahia_Banderas', baggage: '3',
+                scheduled: '2026-03-14T10:05:00+00:00', estimated_runway: '2026-03-14T09:58:00+00:00'
+            }
+        }),
+        'arrival',
+        'America/Bahia_Banderas'
+    );
+
+    assert.strictEqual(flight.aircraftType, 'B38M');
+    assert.strictEqual(flight.registration, 'XA-AMX');
+    assert.strictEqual(flight.baggageClaim, '3');
+    assert.strictEqual(flight.timeline.gateOut.scheduled, '2026-03-14T14:00:00.000Z');
+    assert.strictEqual(flight.timeline.takeoff.actual, '2026-03-14T14:14:00.000Z');
+    assert.strictEqual(flight.timeline.landing.estimated, '2026-03-14T15:58:00.000Z');
+    assert.strictEqual(flight.timeline.gateIn.scheduled, '2026-03-14T16:05:00.000Z');
+});
+
+test('AviationStack marketing copies are filed under the operating flight', () => {
+    const flight = aviationstack.normalizeFlight(
+        stackArrival('DL7001', '2026-03-14T10:05:00+00:00', {
+            airline: { name: 'Delta Air Lines', iata: 'DL', icao: 'DAL' },
+            flight: {
+                number: '7001', iata: 'DL7001', icao: 'DAL7001',
+                codeshared: { airline_name: 'aeromexico', airline_iata: 'am', airline_icao: 'amx', flight_number: '200', flight_iata: 'am200', flight_icao: 'amx200' }
+            }
+        }),
+        'arrival',
+        'America/Bahia_Banderas'
+    );
+
+    assert.strictEqual(flight.flightNumber, 'AM200');
+    assert.deepStrictEqual(flight.codeshares, ['DL7001']);
+    assert.strictEqual(flight.airline, 'Aeroméxico');
+});
+
+test('AviationStack pages with offset and reports API errors', async () => {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        requests.push(req.url);
+        const params = new URL(req.url, 'http://localhost').searchParams;
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+
+        if (params.get('access_key') !== 'good-key') {
+            res.end(JSON.stringify({ error: { code: 'invalid_access_key', message: 'You have not supplied a valid API Access Key.' } }));
+            return;
+        }
+
+        const offset = Number(params.get('offset'));
+        const data = params.has('arr_iata')
+            ? [stackArrival(`AM${offset + 1}`, '2026-03-14T10:05:00+00:00')]
+            : [];
+        res.end(JSON.stringify({ pagination: { limit: 100, offset, count: data.length, total: params.has('arr_iata') ? 2 : 0 }, data }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+
+    try {
+        const range = getLocalDayRange(PVR.timezone);
+        const result = await aviationstack.fetchDay(PVR, range, { apiKey: 'good-key', baseUrl, maxPages: 5 });
+
+        assert.deepStrictEqual(result.arrivals.map(f => f.flightNumber), ['AM1', 'AM2']);
+        assert.strictEqual(result.departures.length, 0);
+        assert.strictEqual(result.complete, true);
+        assert.match(requests[0], /arr_iata=PVR/);
+        assert.match(requests[1], /offset=1/);
+
+        await assert.rejects(
+            aviationstack.fetchDay(PVR, range, { apiKey: 'bad-key', baseUrl, maxPages: 5 }),
+            /invalid_access_key/
+        );
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+});
+
+test('AviationStack retries dropped connections and server errors', async () => {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        requests.push(req.url);
+        if (requests.length === 1) {
+            req.socket.destroy();
+            return;
+        }
+        if (requests.length === 2) {
+            res.writeHead(503, { 'Content-Type': 'text/plain' });
+            res.end('down');
+            return;
+        }
+
+        const data = req.url.includes('arr_iata') ? [stackArrival('AM1', '2026-03-14T10:05:00+00:00')] : [];
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ pagination: { limit: 100, offset: 0, count: data.length, total: data.length }, data }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+
+    try {
+        const range = getLocalDayRange(PVR.timezone);
+        const result = await aviationstack.fetchDay(PVR, range, { apiKey: 'good-key', baseUrl, maxPages: 1, retryDelayMs: 0 });
+
+        assert.deepStrictEqual(result.arrivals.map(f => f.flightNumber), ['AM1']);
+        assert.strictEqual(requests.length, 4);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+});
+
+test('AviationStack keeps the access key out of failed-request errors', async () => {
+    // A port nothing listens on
+    const server = http.createServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+    await new Promise(resolve => server.close(resolve));
+
+    const range = getLocalDayRange(PVR.timezone);
+    await assert.rejects(
+        aviationstack.fetchDay(PVR, range, { apiKey: 'SECRET/KEY+1', baseUrl, maxPages: 1, retryDelayMs: 0 }),
+        error => {
+            assert.match(error.message, /access_key=\*\*\*/);
+            assert.ok(!error.message.includes('SECRET'), error.message);
+            assert.strictEqual(error.name, 'FetchError');
+            return true;
+        }
+    );
+});
+
+test('fixture provider replays the recorded day onto the requested day', async () => {
+    const range = getLocalDayRange(PVR.timezone, new Date('2026-07-01T18:00:00Z'));
+    const result = await fixture.fetchDay(PVR, range, fixture.getSettings({}));
+
+    assert.ok(result.arrivals.length > 0);
+    assert.ok(result.departures.length > 0);
+    for (const flight of [...result.arrivals, ...result.departures]) {
+        const time = Date.parse(flight.scheduled);
+        assert.ok(time >= range.start.getTime() && time < range.end.getTime(), `${flight.flightNumber} at ${flight.scheduled}`);
+    }
+});
+
+test('fixture provider replays the recorded day onto each day of a longer window', async () => {
+    const now = new Date('2026-07-01T18:00:00Z');
+    const range = getWindowRange('today-tomorrow', PVR.timezone, now);
+    const result = await fixture.fetchDay(PVR, range, fixture.getSettings({}));
+    const oneDay = await fixture.fetchDay(PVR, getLocalDayRange(PVR.timezone, now), fixture.getSettings({}));
+
+    assert.strictEqual(result.arrivals.length, oneDay.arrivals.length * 2);
+
+    // The same flight numbers on both days stay separate rows
+    const arrivals = processFlights(result.arrivals, PVR.timezone, now, 'today-tomorrow');
+    const dates = new Set(arrivals.map(flight => flight.scheduled.slice(0, 10)));
+    assert.ok(dates.has('2026-07-01') && dates.has('2026-07-02'), [...dates].join(', '));
+    assert.strictEqual(arrivals.length, processFlights(oneDay.arrivals, PVR.timezone, now).length * 2);
+});
+
+test('fixture provider fails clearly for airports without a fixture', async () => {
+    const range = getLocalDayRange('America/Mexico_City');
+    await assert.rejects(
+        fixture.fetchDay(getAirport('GDL'), range, fixture.getSettings({})),
+        /No fixture for GDL/
+    );
+});
@@ -0,0 +1,76 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { describeAirline, describeAirport } = require('../scripts/reference');
+const AIRLINES = require('../scripts/reference/airlines.json');
+const { processFlights } = require('../scripts/fetch-flights');
+const { normalizeFlights } = require('../scripts/providers/aeroapi');
+
+test('names known operators from their ICAO code', () => {
+    assert.deepStrictEqual(describeAirline({ icao: 'AMX' }), {
+        name: 'Aeroméxico',
+        icao: 'AMX',
+        iata: 'AM',
+        logo: 'assets/airlines/AM.svg'
+    });
+    assert.strictEqual(describeAirline({ iata: 'Y4' }).name, 'Volaris');
+});
+
+test('falls back to the API operator for unknown airlines', () => {
+    assert.deepStrictEqual(describeAirline({ icao: 'XYZ', iata: 'XY' }), {
+        name: 'XYZ',
+        icao: 'XYZ',
+        iata: 'XY',
+        logo: null
+    });
+    assert.strictEqual(describeAirline({}).name, '—');
+});
+
+test('shows airports by city and IATA code', () => {
+    const mex = describeAirport({ icao: 'MMMX', iata: 'MEX', name: "Lic. Benito Juarez Int'l" });
+    assert.strictEqual(mex.city, 'Mexico City');
+    assert.strictEqual(mex.code, 'MEX');
+    assert.strictEqual(mex.country, 'MX');
+
+    // Only the ICAO code is known for some US general aviation fields
+    assert.strictEqual(describeAirport({ code: 'KHND' }).code, 'HSH');
+});
+
+test('falls back to the API city, then name, then code for unknown airports', () => {
+    assert.strictEqual(describeAirport({ iata: 'QQQ', city: 'Springfield', name: 'Springfield Muni' }).city, 'Springfield');
+    assert.strictEqual(describeAirport({ code: 'L 21.29 -101.98', name: 'Lagos de Moreno' }).city, 'Lagos de Moreno');
+    assert.strictEqual(describeAirport({ iata: 'QQQ' }).city, 'QQQ');
+    assert.strictEqual(describeAirport(null).city, 'Unknown');
+});
+
+test('publishes no code for airports identified only by their coordinates', () => {
+    assert.strictEqual(describeAirport({ code: 'L 21.29 -101.98', name: 'Lagos de Moreno' }).code, '');
+    assert.strictEqual(describeAirport({ code: 'L 21.29 -101.98' }).city, 'Unknown');
+    assert.strictEqual(describeAirport({ code: 'KQQQ' }).code, 'KQQQ');
+});
+
+test('every airline logo in the dataset exists', () => {
+    for (const airline of Object.values(AIRLINES)) {
+        assert.ok(fs.existsSync(path.join(__dirname, '..', airline.logo)), `missing ${airline.logo}`);
+    }
+});
+
+test('processFlights enriches records with reference names', () => {
+    const now = new Date('2026-04-05T15:00:00Z');
+    const [flight] = processFlights(normalizeFlights([{
+        ident_iata: 'AM1234',
+        operator: 'AMX',
+        origin: { code: 'MMMX', code_iata: 'MEX', name: "Lic. Benito Juarez Int'l", city: 'Mexico City' },
+        scheduled_on: '2026-04-05T18:00:00Z'
+    }], 'arrival'), 'America/Bahia_Banderas', now);
+
+    assert.strictEqual(flight.airline, 'Aeroméxico');
+    assert.strictEqual(flight.airlineCode, 'AMX');
+    assert.strictEqual(flight.airlineIata, 'AM');
+    assert.strictEqual(flight.airlineLogo, 'assets/airlines/AM.svg');
+    assert.strictEqual(flight.origin, 'Mexico City');
+    assert.strictEqual(flight.originCode, 'MEX');
+    assert.strictEqual(flight.originName, 'Benito Juárez International Airport');
+});
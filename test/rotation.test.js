@@ -0,0 +1,113 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { linkRotations } = require('../scripts/rotation');
+const { processFlights } = require('../scripts/fetch-flights');
+const { normalizeFlight } = require('../scripts/providers/aeroapi');
+const { RECORDED_AT } = require('./helpers/fixtures');
+
+const PVR = 'America/Bahia_Banderas';
+const OPTIONS = { minTurnaroundMinutes: 35, delayThresholdMinutes: 15 };
+
+const PVR_AIRPORT = { code: 'MMPR', code_iata: 'PVR', code_icao: 'MMPR', city: 'Puerto Vallarta' };
+const YYC_AIRPORT = { code: 'CYYC', code_iata: 'YYC', code_icao: 'CYYC', city: 'Calgary' };
+const MEX_AIRPORT = { code: 'MMMX', code_iata: 'MEX', code_icao: 'MMMX', city: 'Mexico City' };
+
+// AeroAPI records at PVR on the fixtures' day; times are UTC, PVR is UTC-6
+const arrival = fields => normalizeFlight({ origin: MEX_AIRPORT, destination: PVR_AIRPORT, ...fields }, 'arrival');
+const departure = fields => normalizeFlight({ origin: PVR_AIRPORT, destination: MEX_AIRPORT, ...fields }, 'departure');
+
+function link(arrivals, departures) {
+    const linked = linkRotations(
+        processFlights(arrivals, PVR, RECORDED_AT),
+        processFlights(departures, PVR, RECORDED_AT),
+        OPTIONS
+    );
+    const find = (flights, number) => flights.find(flight => flight.flightNumber === number);
+    return {
+        arrival: number => find(linked.arrivals, number),
+        departure: number => find(linked.departures, number)
+    };
+}
+
+test('links a departure to its inbound by flight id and predicts the knock-on delay', () => {
+    const { arrival: getArrival, departure: getDeparture } = link([
+        arrival({
+            ident_iata: 'WS2412',
+            fa_flight_id: 'WJA2412-1',
+            origin: YYC_AIRPORT,
+            scheduled_on: '2026-03-14T19:50:00Z',
+            estimated_on: '2026-03-14T20:35:00Z',
+            scheduled_in: '2026-03-14T20:00:00Z',
+            estimated_in: '2026-03-14T20:45:00Z'
+        })
+    ], [
+        departure({
+            ident_iata: 'WS2413',
+            fa_flight_id: 'WJA2413-1',
+            inbound_fa_flight_id: 'WJA2412-1',
+            destination: YYC_AIRPORT,
+            scheduled_out: '2026-03-14T20:50:00Z',
+            scheduled_off: '2026-03-14T21:00:00Z',
+            estimated_off: '2026-03-14T21:00:00Z'
+        })
+    ]);
+
+    const ws2413 = getDeparture('WS2413');
+    assert.deepStrictEqual(ws2413.rotation, { flightNumber: 'WS2412', faFlightId: 'WJA2412-1', city: 'Calgary', code: 'YYC', linkedBy: 'inboundId' });
+    // At the gate 20:45, ready 21:20, pushback scheduled 20:50
+    assert.strictEqual(ws2413.predictedDelayMinutes, 30);
+
+    const ws2412 = getArrival('WS2412');
+    assert.strictEqual(ws2412.rotation.flightNumber, 'WS2413');
+    assert.strictEqual(ws2412.predictedDelayMinutes, null);
+});
+
+test('falls back to the latest arrival of the same aircraft since it last left', () => {
+    const { arrival: getArrival, departure: getDeparture } = link([
+        arrival({ ident_iata: 'AM640', registration: 'XA-AMX', scheduled_on: '2026-03-14T16:00:00Z', actual_on: '2026-03-14T15:55:00Z' }),
+        arrival({ ident_iata: 'AM642', registration: 'XA-AMX', scheduled_on: '2026-03-14T22:00:00Z', estimated_on: '2026-03-14T22:50:00Z', actual_off: '2026-03-14T20:20:00Z' })
+    ], [
+        departure({ ident_iata: 'AM641', registration: 'XA-AMX', scheduled_off: '2026-03-14T17:00:00Z', actual_off: '2026-03-14T17:05:00Z' }),
+        departure({ ident_iata: 'AM643', registration: 'XA-AMX', scheduled_off: '2026-03-14T23:00:00Z', estimated_off: '2026-03-14T23:00:00Z' })
+    ]);
+
+    assert.strictEqual(getDeparture('AM641').rotation.flightNumber, 'AM640');
+    assert.strictEqual(getDeparture('AM641').rotation.linkedBy, 'registration');
+    assert.strictEqual(getDeparture('AM641').predictedDelayMinutes, null);
+    assert.strictEqual(getArrival('AM640').rotation.flightNumber, 'AM641');
+
+    // No gate times: landing 22:50 plus the turnaround against the 23:00 takeoff
+    assert.strictEqual(getDeparture('AM643').rotation.flightNumber, 'AM642');
+    assert.strictEqual(getDeparture('AM643').predictedDelayMinutes, 25);
+});
+
+test('predicts nothing when the inbound is on time, cancelled or already covered by the departure\'s own delay', () => {
+    const { departure: getDeparture } = link([
+        // On time, but the airline planned a turnaround shorter than the minimum
+        arrival({ ident_iata: 'Y4820', registration: 'XA-VOA', scheduled_on: '2026-03-14T21:00:00Z', estimated_on: '2026-03-14T21:00:00Z' }),
+        arrival({ ident_iata: 'Y4822', registration: 'XA-VOB', scheduled_on: '2026-03-14T21:00:00Z', estimated_on: '2026-03-14T22:00:00Z', cancelled: true }),
+        arrival({ ident_iata: 'Y4824', registration: 'XA-VOC', scheduled_on: '2026-03-14T21:00:00Z', estimated_on: '2026-03-14T22:00:00Z' })
+    ], [
+        departure({ ident_iata: 'Y4821', registration: 'XA-VOA', scheduled_off: '2026-03-14T21:20:00Z' }),
+        departure({ ident_iata: 'Y4823', registration: 'XA-VOB', scheduled_off: '2026-03-14T21:40:00Z' }),
+        departure({ ident_iata: 'Y4825', registration: 'XA-VOC', scheduled_off: '2026-03-14T21:40:00Z', estimated_off: '2026-03-14T23:00:00Z' })
+    ]);
+
+    ['Y4821', 'Y4823', 'Y4825'].forEach(number => {
+        assert.ok(getDeparture(number).rotation, `${number} is linked`);
+        assert.strictEqual(getDeparture(number).predictedDelayMinutes, null, `${number} has no prediction`);
+    });
+});
+
+test('leaves flights without a known aircraft unlinked', () => {
+    const { arrival: getArrival, departure: getDeparture } = link([
+        arrival({ ident_iata: 'AM640', scheduled_on: '2026-03-14T16:00:00Z' })
+    ], [
+        departure({ ident_iata: 'AM641', scheduled_off: '2026-03-14T17:00:00Z' })
+    ]);
+
+    assert.strictEqual(getArrival('AM640').rotation, null);
+    assert.strictEqual(getDeparture('AM641').rotation, null);
+    assert.strictEqual(getDeparture('AM641').predictedDelayMinutes, null);
+});
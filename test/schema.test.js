@@ -0,0 +1,95 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { SCHEMA_VERSION, FlightDataValidationError, validateFlightData, assertValidFlightData } = require('../scripts/schema');
+const { processFlights } = require('../scripts/fetch-flights');
+const { getAirport } = require('../scripts/airports');
+const { getLocalDayRange } = require('../scripts/time');
+const { computeStats } = require('../scripts/stats');
+const { linkRotations } = require('../scripts/rotation');
+const fixture = require('../scripts/providers/fixture');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+
+// A feed built the way the fetcher builds it, from the offline fixture
+async function buildFeed() {
+    const airport = getAirport('PVR');
+    const now = new Date('2026-07-01T18:00:00Z');
+    const data = await fixture.fetchDay(airport, getLocalDayRange(airport.timezone, now), fixture.getSettings({}));
+    const { arrivals, departures } = linkRotations(
+        processFlights(data.arrivals, airport.timezone, now),
+        processFlights(data.departures, airport.timezone, now),
+        { minTurnaroundMinutes: 35, delayThresholdMinutes: 15 }
+    );
+
+    return {
+        schemaVersion: SCHEMA_VERSION,
+        lastUpdated: now.toISOString(),
+        lastSuccessfulUpdate: now.toISOString(),
+        stale: false,
+        airport: { ...airport },
+        meta: { provider: 'fixture', pagesFetched: data.pages, pageBudget: null, complete: true },
+        stats: computeStats(arrivals, departures, airport.timezone),
+        arrivals: arrivals,
+        departures: departures
+    };
+}
+
+test('fetcher output matches the schema', async () => {
+    const feed = await buildFeed();
+    assert.ok(feed.arrivals.length > 0);
+    assert.deepStrictEqual(validateFlightData(feed), []);
+});
+
+test('reports missing and mistyped fields with their paths', async () => {
+    const feed = await buildFeed();
+    delete feed.arrivals[0].status;
+    feed.departures[1].delayMinutes = '12';
+
+    const errors = validateFlightData(feed);
+    assert.ok(errors.some(error => error.includes('/arrivals/0') && error.includes('status')), errors.join('\n'));
+    assert.ok(errors.some(error => error.includes('/departures/1/delayMinutes')), errors.join('\n'));
+});
+
+test('the published schema accepts fields added later; the fetcher only writes declared ones', async () => {
+    const Ajv = require('ajv');
+    const addFormats = require('ajv-formats');
+    const ajv = new Ajv({ allErrors: true });
+    addFormats(ajv);
+    const published = ajv.compile(JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'schema', `flights.v${SCHEMA_VERSION}.schema.json`), 'utf8')));
+
+    const feed = await buildFeed();
+    feed.arrivals[0].seatsAvailable = 12;
+    feed.meta.region = 'MX';
+
+    assert.strictEqual(published(feed), true, JSON.stringify(published.errors));
+    const errors = validateFlightData(feed);
+    assert.ok(errors.some(error => error.includes('/arrivals/0') && error.includes('additional properties')), errors.join('\n'));
+    assert.ok(errors.some(error => error.includes('/meta') && error.includes('additional properties')), errors.join('\n'));
+});
+
+test('rejects data without the current schemaVersion', async () => {
+    const feed = await buildFeed();
+    feed.schemaVersion = SCHEMA_VERSION + 1;
+
+    assert.throws(() => assertValidFlightData(feed), FlightDataValidationError);
+    delete feed.schemaVersion;
+    assert.throws(() => assertValidFlightData(feed), /schemaVersion/);
+});
+
+test('published data files match the schema', () => {
+    const files = ['flights.json', ...fs.readdirSync(DATA_DIR).filter(name => /^[a-z]{3}\.json$/.test(name))];
+    const archiveDir = path.join(DATA_DIR, 'archive');
+    for (const airport of fs.existsSync(archiveDir) ? fs.readdirSync(archiveDir) : []) {
+        fs.readdirSync(path.join(archiveDir, airport))
+            .filter(name => /^\d{4}-\d{2}-\d{2}\.json$/.test(name))
+            .forEach(name => files.push(path.join('archive', airport, name)));
+    }
+
+    for (const file of files) {
+        const data = JSON.parse(fs.readFileSync(path.join(DATA_DIR, file), 'utf8'));
+        assert.deepStrictEqual(validateFlightData(data), [], file);
+    }
+});
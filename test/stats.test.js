@@ -0,0 +1,89 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { computeStats } = require('../scripts/stats');
+const { processFlights } = require('../scripts/fetch-flights');
+const { RECORDED_AT, normalizeAeroApiFixture } = require('./helpers/fixtures');
+
+const PVR = 'America/Bahia_Banderas';
+
+// Processed record with only the fields the stats read; times are UTC, PVR is UTC-6
+const flight = fields => ({
+    flightNumber: 'AM640',
+    airline: 'Aeroméxico',
+    airlineCode: 'AMX',
+    airlineIata: 'AM',
+    airlineLogo: 'assets/airlines/AM.svg',
+    origin: 'Mexico City',
+    originCode: 'MEX',
+    destination: null,
+    destinationCode: null,
+    scheduled: '2026-03-14T16:00:00Z',
+    actual: null,
+    delayMinutes: null,
+    status: 'Scheduled',
+    punctuality: null,
+    ...fields
+});
+
+const arrivals = [
+    flight({ actual: '2026-03-14T15:55:00Z', delayMinutes: -5, status: 'Landed', punctuality: 'On Time' }),
+    flight({ flightNumber: 'AM642', scheduled: '2026-03-14T16:30:00Z', actual: '2026-03-14T17:10:00Z', delayMinutes: 40, status: 'Landed', punctuality: 'Delayed' }),
+    flight({ flightNumber: 'Y4820', airline: 'Volaris', airlineCode: 'VOI', airlineIata: 'Y4', airlineLogo: 'assets/airlines/Y4.svg', origin: 'Tijuana', originCode: 'TIJ', scheduled: '2026-03-14T18:00:00Z', actual: '2026-03-14T18:10:00Z', delayMinutes: 10, status: 'Landed', punctuality: 'On Time' }),
+    flight({ flightNumber: 'Y4822', airline: 'Volaris', airlineCode: 'VOI', airlineIata: 'Y4', airlineLogo: 'assets/airlines/Y4.svg', origin: 'Tijuana', originCode: 'TIJ', scheduled: '2026-03-14T22:00:00Z', status: 'Cancelled' }),
+    flight({ flightNumber: 'AM644', scheduled: '2026-03-14T23:00:00Z', delayMinutes: 20, status: 'Delayed', punctuality: 'Delayed' })
+];
+
+test('counts statuses and on-time performance of operated flights', () => {
+    const stats = computeStats(arrivals, [], PVR).arrivals;
+
+    assert.strictEqual(stats.flights, 5);
+    assert.deepStrictEqual(stats.byStatus, { Landed: 3, Cancelled: 1, Delayed: 1 });
+    // Only the three landed flights have operated; AM644 is merely expected late
+    assert.strictEqual(stats.operated, 3);
+    assert.strictEqual(stats.onTimePercent, 67);
+    // (0 + 40 + 10) / 3, the early arrival counting as 0
+    assert.strictEqual(stats.averageDelayMinutes, 17);
+});
+
+test('buckets flights by scheduled local hour', () => {
+    const stats = computeStats(arrivals, [], PVR).arrivals;
+
+    assert.strictEqual(stats.hourly.length, 24);
+    assert.strictEqual(stats.hourly[10], 2);
+    assert.strictEqual(stats.hourly[12], 1);
+    assert.strictEqual(stats.hourly[16], 1);
+    assert.strictEqual(stats.hourly[17], 1);
+    assert.deepStrictEqual(stats.busiestHour, { hour: 10, flights: 2 });
+});
+
+test('ranks routes and airlines', () => {
+    const stats = computeStats(arrivals, [], PVR).arrivals;
+
+    assert.deepStrictEqual(stats.topRoutes, [
+        { code: 'MEX', city: 'Mexico City', flights: 3 },
+        { code: 'TIJ', city: 'Tijuana', flights: 2 }
+    ]);
+    assert.deepStrictEqual(stats.topAirlines.map(airline => [airline.code, airline.flights]), [['AM', 3], ['Y4', 2]]);
+});
+
+test('has no percentages before anything has operated', () => {
+    const stats = computeStats([], [flight({ destination: 'Calgary', destinationCode: 'YYC', origin: null, originCode: null })], PVR);
+
+    assert.strictEqual(stats.overall.flights, 1);
+    assert.strictEqual(stats.departures.onTimePercent, null);
+    assert.strictEqual(stats.departures.averageDelayMinutes, null);
+    assert.deepStrictEqual(stats.departures.topRoutes, [{ code: 'YYC', city: 'Calgary', flights: 1 }]);
+    assert.strictEqual(stats.arrivals.busiestHour, null);
+});
+
+test('combines both directions for the overall figures', () => {
+    const { arrivals: fixtureArrivals, departures: fixtureDepartures } = normalizeAeroApiFixture('codeshares');
+    const processedArrivals = processFlights(fixtureArrivals, PVR, RECORDED_AT);
+    const processedDepartures = processFlights(fixtureDepartures, PVR, RECORDED_AT);
+    const stats = computeStats(processedArrivals, processedDepartures, PVR);
+
+    assert.strictEqual(stats.overall.flights, processedArrivals.length + processedDepartures.length);
+    assert.strictEqual(stats.overall.operated, stats.arrivals.operated + stats.departures.operated);
+    assert.deepStrictEqual(stats.overall.hourly, stats.arrivals.hourly.map((count, hour) => count + stats.departures.hourly[hour]));
+});
@@ -0,0 +1,119 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SOURCE = fs.readFileSync(path.join(__dirname, '..', 'sw.js'), 'utf8');
+const ORIGIN = 'http://localhost';
+
+// Run sw.js against in-memory caches; `network(url)` answers its fetches
+function loadWorker(network) {
+    const stores = new Map();
+    const listeners = {};
+    const messages = [];
+    const keyOf = key => (typeof key === 'string' ? key : key.url);
+
+    const caches = {
+        open: async name => {
+            if (!stores.has(name)) stores.set(name, new Map());
+            const store = stores.get(name);
+            return {
+                match: async key => (store.has(keyOf(key)) ? store.get(keyOf(key)).clone() : undefined),
+                put: async (key, response) => {
+                    store.set(keyOf(key), response);
+                },
+                addAll: async () => {}
+            };
+        },
+        keys: async () => [...stores.keys()],
+        delete: async name => stores.delete(name)
+    };
+
+    const self = {
+        location: new URL(`${ORIGIN}/sw.js`),
+        registration: { scope: `${ORIGIN}/` },
+        clients: {
+            matchAll: async () => [{ postMessage: message => messages.push(message) }],
+            claim: async () => {}
+        },
+        skipWaiting: async () => {},
+        addEventListener: (type, listener) => {
+            listeners[type] = listener;
+        }
+    };
+
+    vm.runInNewContext(SOURCE, {
+        self,
+        caches,
+        URL,
+        fetch: async request => network(keyOf(request))
+    });
+
+    // Dispatch a fetch event; resolves with the response and once the
+    // background work is done
+    const request = async url => {
+        let response = null;
+        let pending = Promise.resolve();
+        listeners.fetch({
+            request: { url: `${ORIGIN}/${url}`, method: 'GET', mode: 'cors' },
+            respondWith: promise => {
+                response = promise;
+            },
+            waitUntil: promise => {
+                pending = promise;
+            }
+        });
+        const answer = response && await response;
+        await pending;
+        return answer;
+    };
+
+    return { request, messages, stores };
+}
+
+test('answers flight data from the cache and reports how the refresh went', async () => {
+    let body = '{"version":1}';
+    let online = true;
+    const { request, messages } = loadWorker(async () => {
+        if (!online) throw new TypeError('Failed to fetch');
+        return new Response(body, { status: 200 });
+    });
+
+    // Posted from the worker's realm, so copied for deepStrictEqual
+    const lastMessage = () => ({ ...messages.pop() });
+
+    // Nothing cached yet: straight from the network
+    assert.strictEqual(await (await request('data/pvr.json')).text(), '{"version":1}');
+    assert.deepStrictEqual(messages, []);
+
+    // Cached copy first; the board hears that a newer one has been stored
+    body = '{"version":2}';
+    assert.strictEqual(await (await request('data/pvr.json')).text(), '{"version":1}');
+    assert.deepStrictEqual(lastMessage(), { type: 'flight-data', url: `${ORIGIN}/data/pvr.json`, state: 'updated' });
+    assert.strictEqual(await (await request('data/pvr.json')).text(), '{"version":2}');
+    assert.deepStrictEqual(lastMessage(), { type: 'flight-data', url: `${ORIGIN}/data/pvr.json`, state: 'current' });
+
+    // No connection: still the last copy, and the board is told it is offline
+    online = false;
+    assert.strictEqual(await (await request('data/pvr.json')).text(), '{"version":2}');
+    assert.deepStrictEqual(lastMessage(), { type: 'flight-data', url: `${ORIGIN}/data/pvr.json`, state: 'offline' });
+});
+
+test('keeps one copy of a data file whatever its query', async () => {
+    const { request, stores } = loadWorker(async () => new Response('{"days":[]}', { status: 200 }));
+
+    await request('data/archive/pvr/index.json?1');
+    await request('data/archive/pvr/index.json?2');
+
+    assert.deepStrictEqual([...[...stores.values()][0].keys()], [`${ORIGIN}/data/archive/pvr/index.json`]);
+    assert.strictEqual(await (await request('data/archive/pvr/index.json')).text(), '{"days":[]}');
+});
+
+test('leaves the calendar and Atom feeds to the network', async () => {
+    const { request } = loadWorker(async () => new Response('', { status: 200 }));
+
+    assert.strictEqual(await request('data/pvr-arrivals.ics'), null);
+    assert.strictEqual(await request('data/pvr-alerts.atom'), null);
+    assert.ok(await request('script.js'));
+});
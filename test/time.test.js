@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { getLocalDate, getLocalDayRange, getTimezoneOffsetMinutes, getWindowDates, getWindowRange } = require('../scripts/time');
+
+const PVR = 'America/Bahia_Banderas';
+
+test('PVR is UTC-6 all year now that Mexico has abolished DST', () => {
+    // First Sunday of April and last Sunday of October, the old switch dates
+    assert.strictEqual(getTimezoneOffsetMinutes(PVR, new Date('2026-04-05T12:00:00Z')), -360);
+    assert.strictEqual(getTimezoneOffsetMinutes(PVR, new Date('2026-07-15T12:00:00Z')), -360);
+    assert.strictEqual(getTimezoneOffsetMinutes(PVR, new Date('2026-10-25T12:00:00Z')), -360);
+    assert.strictEqual(getTimezoneOffsetMinutes(PVR, new Date('2026-12-15T12:00:00Z')), -360);
+});
+
+test('today runs from local midnight to local midnight (06:00Z to 06:00Z)', () => {
+    const range = getLocalDayRange(PVR, new Date('2026-04-05T15:00:00Z'));
+
+    assert.strictEqual(range.date, '2026-04-05');
+    assert.strictEqual(range.start.toISOString(), '2026-04-05T06:00:00.000Z');
+    assert.strictEqual(range.end.toISOString(), '2026-04-06T06:00:00.000Z');
+});
+
+test('late evening local time is still today even though it is tomorrow in UTC', () => {
+    const now = new Date('2026-05-04T05:30:00Z'); // 23:30 on May 3 in PVR
+
+    assert.strictEqual(getLocalDate(now, PVR), '2026-05-03');
+    assert.strictEqual(getLocalDayRange(PVR, now).start.toISOString(), '2026-05-03T06:00:00.000Z');
+});
+
+test('the last DST change (30 Oct 2022) gives a 25-hour local day', () => {
+    const range = getLocalDayRange(PVR, new Date('2022-10-30T18:00:00Z'));
+
+    assert.strictEqual(range.start.toISOString(), '2022-10-30T05:00:00.000Z');
+    assert.strictEqual(range.end.toISOString(), '2022-10-31T06:00:00.000Z');
+});
+
+test('the old spring-forward day (3 Apr 2022) gives a 23-hour local day', () => {
+    const range = getLocalDayRange(PVR, new Date('2022-04-03T18:00:00Z'));
+
+    assert.strictEqual(range.start.toISOString(), '2022-04-03T06:00:00.000Z');
+    assert.strictEqual(range.end.toISOString(), '2022-04-04T05:00:00.000Z');
+});
+
+test('neighbouring airports use their own zone (Tepic is on Pacific time)', () => {
+    const range = getLocalDayRange('America/Mazatlan', new Date('2026-04-05T15:00:00Z'));
+
+    assert.strictEqual(range.start.toISOString(), '2026-04-05T07:00:00.000Z');
+    assert.strictEqual(range.end.toISOString(), '2026-04-06T07:00:00.000Z');
+});
+
+test('window modes: today, rolling 2h back and 22h ahead, and today plus tomorrow', () => {
+    const now = new Date('2026-03-14T05:00:00Z'); // 23:00 on Mar 13 local
+
+    const today = getWindowRange('today', PVR, now);
+    assert.deepStrictEqual([today.start.toISOString(), today.end.toISOString()], ['2026-03-13T06:00:00.000Z', '2026-03-14T06:00:00.000Z']);
+    assert.deepStrictEqual(getWindowDates(today, PVR), ['2026-03-13']);
+
+    const rolling = getWindowRange('rolling', PVR, now);
+    assert.deepStrictEqual([rolling.start.toISOString(), rolling.end.toISOString()], ['2026-03-14T03:00:00.000Z', '2026-03-15T03:00:00.000Z']);
+    assert.deepStrictEqual(getWindowDates(rolling, PVR), ['2026-03-13', '2026-03-14']);
+
+    const twoDays = getWindowRange('today-tomorrow', PVR, now);
+    assert.strictEqual(twoDays.date, '2026-03-13');
+    assert.deepStrictEqual([twoDays.start.toISOString(), twoDays.end.toISOString()], ['2026-03-13T06:00:00.000Z', '2026-03-15T06:00:00.000Z']);
+    assert.deepStrictEqual(getWindowDates(twoDays, PVR), ['2026-03-13', '2026-03-14']);
+
+    // Unknown modes fall back to today
+    assert.strictEqual(getWindowRange('week', PVR, now).mode, 'today');
+});